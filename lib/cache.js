@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {LRUCache} from 'lru-cache';
+import {NAMESPACE} from './constants.js';
+
+const {config} = bedrock;
+
+let CACHE;
+let CACHE_CONFIG;
+const STATS = {hits: 0, misses: 0};
+
+bedrock.events.on('bedrock.init', () => {
+  _createCache();
+});
+
+/**
+ * Memoizes the promise returned by `fn` under the given key. Rejected
+ * promises are not cached, except for `NotFoundError` rejections which are
+ * cached for the configured (short) `notFoundTtl`.
+ *
+ * If caching is disabled, `fn` is simply called.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.key - The cache key.
+ * @param {Function} options.fn - A function that returns a promise.
+ *
+ * @returns {Promise} Resolves to the (possibly cached) result of `fn`.
+ */
+export async function memoize({key, fn} = {}) {
+  if(!CACHE) {
+    return fn();
+  }
+
+  let promise = CACHE.get(key);
+  if(promise) {
+    STATS.hits++;
+    return promise;
+  }
+
+  STATS.misses++;
+  promise = fn();
+  CACHE.set(key, promise);
+  try {
+    return await promise;
+  } catch(e) {
+    // only update the cache entry if it hasn't changed
+    if(CACHE.get(key) === promise) {
+      if(e.name === 'NotFoundError' && CACHE_CONFIG.notFoundTtl > 0) {
+        CACHE.set(key, promise, {ttl: CACHE_CONFIG.notFoundTtl});
+      } else {
+        CACHE.delete(key);
+      }
+    }
+    throw e;
+  }
+}
+
+/**
+ * Removes the given key from the cache.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.key - The cache key.
+ */
+export function invalidate({key} = {}) {
+  CACHE?.delete(key);
+}
+
+/**
+ * Removes all entries from the cache.
+ */
+export function clear() {
+  CACHE?.clear();
+}
+
+/**
+ * Gets cache statistics.
+ *
+ * @returns {object} An object with `enabled`, `hits`, `misses` and `size`.
+ */
+export function getStats() {
+  return {
+    enabled: !!CACHE,
+    hits: STATS.hits,
+    misses: STATS.misses,
+    size: CACHE?.size ?? 0
+  };
+}
+
+function _createCache() {
+  CACHE_CONFIG = config[NAMESPACE].caches.client;
+  if(!CACHE_CONFIG.enabled) {
+    CACHE = undefined;
+    return;
+  }
+  const {max, ttl} = CACHE_CONFIG;
+  CACHE = new LRUCache({max, ttl});
+}
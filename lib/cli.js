@@ -0,0 +1,78 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as clients from './clients.js';
+import fs from 'node:fs';
+import {logger} from './logger.js';
+import {pipeline} from 'node:stream/promises';
+import {Readable} from 'node:stream';
+
+const {config} = bedrock;
+
+const EXPORT_COMMAND = 'clients-export';
+const IMPORT_COMMAND = 'clients-import';
+
+bedrock.events.on('bedrock-cli.init', () => {
+  const exportCommand = bedrock.program
+    .command(EXPORT_COMMAND)
+    .description('export stored OAuth2 clients as JSON Lines')
+    .requiredOption('--file <path>', 'The file to write clients to.')
+    .option('--redact-secrets', 'Remove secret hashes from exported clients.')
+    .action(() => {
+      config.cli.command = exportCommand;
+    });
+
+  const importCommand = bedrock.program
+    .command(IMPORT_COMMAND)
+    .description('import OAuth2 clients from JSON Lines')
+    .requiredOption('--file <path>', 'The file to read clients from.')
+    .option(
+      '--mode <mode>',
+      'How to handle existing clients: skip-existing, overwrite-if-newer ' +
+      'or fail-on-conflict.', 'skip-existing')
+    .action(() => {
+      config.cli.command = importCommand;
+    });
+});
+
+// run command once the database is ready
+bedrock.events.on('bedrock.ready', async () => {
+  const {command} = config.cli;
+  const name = command.name();
+  if(!(name === EXPORT_COMMAND || name === IMPORT_COMMAND)) {
+    return;
+  }
+
+  const opts = command.opts();
+  try {
+    if(name === EXPORT_COMMAND) {
+      await pipeline(
+        Readable.from(clients.exportClients({
+          redactSecrets: !!opts.redactSecrets
+        })),
+        fs.createWriteStream(opts.file));
+      logger.info(`Exported clients to "${opts.file}".`);
+    } else {
+      const {results, aborted} = await clients.importClients({
+        source: fs.createReadStream(opts.file),
+        mode: opts.mode
+      });
+      for(const {line, id, status, error} of results) {
+        const message = `Line ${line}: client "${id}" ${status}.`;
+        if(error) {
+          logger.error(message, {error});
+        } else {
+          logger.info(message);
+        }
+      }
+      if(aborted || results.some(({status}) => status === 'failed')) {
+        process.exit(1);
+      }
+    }
+  } catch(error) {
+    logger.error(`"${name}" failed.`, {error});
+    process.exit(1);
+  }
+  await bedrock.shutdown();
+});
@@ -2,15 +2,72 @@
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as cache from './cache.js';
 import * as database from '@bedrock/mongodb';
+import * as events from './events.js';
+import * as history from './history.js';
+import * as migrations from './migrations.js';
+import * as mongodbStorage from './storage/mongodb.js';
+import * as rateLimits from './rateLimits.js';
+import * as storage from './storage/index.js';
+import * as watcher from './watcher.js';
+import {AsyncLocalStorage, AsyncResource} from 'node:async_hooks';
+import {CLIENT_COLLECTION_NAME, NAMESPACE} from './constants.js';
+import {
+  clientFilter as clientFilterSchema, client as clientSchema,
+  importedClientMeta as importedClientMetaSchema,
+  scopeQuery as scopeQuerySchema, scopes as scopesSchema
+} from '../schemas/bedrock-basic-authz-server-storage.js';
+import {
+  generateSecret, getStatus, hashSecret, redactSecrets
+} from './helpers.js';
 import assert from 'assert-plus';
+import {compile} from '@bedrock/validation';
+import crypto from 'node:crypto';
+import {getOAuth2ClientFromConfig} from '@bedrock/basic-authz-server';
+import {isDeepStrictEqual} from 'node:util';
+import {logger} from './logger.js';
+import {LRUCache} from 'lru-cache';
+import {Readable} from 'node:stream';
+import readline from 'node:readline';
+import {setTimeout} from 'node:timers/promises';
 
-const {util: {BedrockError}} = bedrock;
+const {config, util: {BedrockError}} = bedrock;
 
 // exported to enable business-rule-specific indexes and other capabilities
-export const COLLECTION_NAME = 'basic-authz-server-storage-client';
+export const COLLECTION_NAME = CLIENT_COLLECTION_NAME;
+
+export {hashSecret};
+
+const IMPORT_MODES = [
+  'skip-existing', 'overwrite-if-newer', 'fail-on-conflict'
+];
+const LOADER_PRECEDENCES = ['config', 'database', 'database-only'];
+const PAGE_SORT_FIELDS = ['id', 'created'];
+const MAX_PAGE_LIMIT = 1000;
+const SCOPE_MATCHES = ['exact', 'prefix'];
+
+// client credentials presented with the current request, see
+// `createOAuth2ClientCredentialsMiddleware()`
+const CLIENT_CREDENTIALS = new AsyncLocalStorage();
+
+// usage not yet written per client ID, see `recordUsage()`; created on
+// first use, bounded by `config[NAMESPACE].usage.maxClients`
+let USAGE;
+
+// compiled on first use so applications can extend the client schema
+let VALIDATE_CLIENT;
+let VALIDATE_FILTER;
+let VALIDATE_IMPORTED_META;
+let VALIDATE_SCOPE_QUERY;
+let VALIDATE_SCOPES;
 
 bedrock.events.on('bedrock-mongodb.ready', async () => {
+  // other storage backends need no database setup
+  if(!storage.isMongoDB()) {
+    return;
+  }
+
   await database.openCollections([COLLECTION_NAME]);
 
   const indexes = [{
@@ -27,50 +84,175 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
       },
       unique: false
     }
+  }, {
+    // enable paging based on creation time
+    collection: COLLECTION_NAME,
+    fields: {'meta.created': 1, 'client.id': 1},
+    options: {unique: false}
+  }, {
+    // enable finding clients by scope
+    collection: COLLECTION_NAME,
+    fields: {'client.allowedScopes': 1},
+    options: {unique: false}
+  }, {
+    // enable finding clients by status
+    collection: COLLECTION_NAME,
+    fields: {'meta.status': 1},
+    options: {unique: false}
+  }, {
+    // enable finding unused clients
+    collection: COLLECTION_NAME,
+    fields: {'meta.usage.lastUsed': 1},
+    options: {unique: false}
+  }, {
+    // enable finding records that need to be migrated
+    collection: COLLECTION_NAME,
+    fields: {'meta.schemaVersion': 1},
+    options: {unique: false}
+  }, {
+    // automatically purge expired clients after their grace period
+    collection: COLLECTION_NAME,
+    fields: {'meta.purgeAt': 1},
+    options: {
+      partialFilterExpression: {'meta.purgeAt': {$exists: true}},
+      unique: false,
+      expireAfterSeconds: 0
+    }
   }];
 
+  const cacheConfig = config[NAMESPACE].caches.client;
+  const watchCache = cacheConfig.enabled && cacheConfig.watch.enabled;
+  if(watchCache) {
+    // enable polling for changed clients if change streams are unavailable
+    indexes.push({
+      collection: COLLECTION_NAME,
+      fields: {'meta.updated': 1},
+      options: {unique: false}
+    });
+  }
+
   await database.createIndexes(indexes);
+
+  if(config[NAMESPACE].migrations.runOnStartup) {
+    await migrate();
+  }
+
+  if(watchCache) {
+    const {pollInterval, retryInterval} = cacheConfig.watch;
+    watcher.start({
+      collection: database.collections[COLLECTION_NAME],
+      pollInterval, retryInterval
+    });
+  }
+});
+
+// seed clients once storage is ready, regardless of the storage backend
+bedrock.events.on('bedrock.ready', async () => {
+  await _seedFromConfig();
 });
 
 /**
  * Retrieves a client record (if it exists).
  *
+ * A client record that has been revoked is not returned unless
+ * `includeRevoked=true` is passed; instead a `NotAllowedError` is thrown so
+ * that callers (such as a `getOAuth2Client` implementation) will stop using
+ * the client immediately. The same applies to a client record that has
+ * expired, unless `includeExpired=true` is passed, or that has been
+ * suspended (until its suspension ends), unless `includeSuspended=true` is
+ * passed.
+ *
+ * If the client cache is enabled via
+ * `config['basic-authz-server-storage'].caches.client`, the record may be
+ * served from the cache unless `useCache=false` is passed.
+ *
  * @param {object} options - Options to use.
  * @param {string} [options.id] - The ID of the client.
+ * @param {boolean} [options.includeRevoked=false] - Set to true to return
+ *   the client record even if it has been revoked.
+ * @param {boolean} [options.includeExpired=false] - Set to true to return
+ *   the client record even if it has expired.
+ * @param {boolean} [options.includeSuspended=false] - Set to true to return
+ *   the client record even if it has been suspended.
+ * @param {boolean} [options.useCache=true] - Set to false to always read the
+ *   record from the database.
  * @param {boolean} [options.explain=false] - Set to true to return database
  *   query explain information instead of executing database queries.
  *
  * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
  *   database record or an ExplainObject if `explain=true`.
  */
-export async function get({id, explain = false} = {}) {
+export async function get({
+  id, includeRevoked = false, includeExpired = false,
+  includeSuspended = false, useCache = true, explain = false
+} = {}) {
   assert.string(id, 'id');
 
-  const query = {'client.id': id};
-  const collection = database.collections[COLLECTION_NAME];
-  const projection = {_id: 0};
-
   if(explain) {
-    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
-    // cursor which allows the use of the explain function.
-    const cursor = await collection.find(query, {projection}).limit(1);
-    return cursor.explain('executionStats');
+    return _getRecord({id, explain});
   }
 
-  const record = await collection.findOne(query, {projection});
-  if(!record) {
-    const details = {
-      httpStatusCode: 404,
-      public: true
-    };
-    throw new BedrockError('Client record not found.', {
-      name: 'NotFoundError',
+  let record;
+  if(useCache) {
+    // clone cached record to prevent cache corruption via mutation
+    record = structuredClone(
+      await cache.memoize({key: id, fn: () => _getRecord({id})}));
+  } else {
+    record = await _getRecord({id});
+  }
+  // a `disabled` status also means revoked
+  const revoked = record.meta.revoked || getStatus({record}) === 'disabled';
+  if(revoked && !includeRevoked) {
+    throw new BedrockError('Client has been revoked.', {
+      name: 'NotAllowedError',
+      details: {
+        httpStatusCode: 403,
+        public: true,
+        revoked: true
+      }
+    });
+  }
+  if(record.meta.expires <= Date.now() && !includeExpired) {
+    throw new BedrockError('Client has expired.', {
+      name: 'NotAllowedError',
+      details: {
+        httpStatusCode: 403,
+        public: true,
+        expired: true
+      }
+    });
+  }
+  if(getStatus({record}) === 'suspended' && !includeSuspended) {
+    const details = {httpStatusCode: 403, public: true, suspended: true};
+    if(record.meta.suspended.until !== undefined) {
+      details.until = record.meta.suspended.until;
+    }
+    throw new BedrockError('Client has been suspended.', {
+      name: 'NotAllowedError',
       details
     });
   }
   return record;
 }
 
+/**
+ * Removes all client records from the in-process client cache.
+ */
+export function clearCache() {
+  cache.clear();
+}
+
+/**
+ * Gets statistics for the in-process client cache.
+ *
+ * @returns {object} An object with `enabled`, `hits`, `misses`, `size` and
+ *   `watch`, the status (`running` and `mode`) of cross-process cache
+ *   invalidation.
+ */
+export function getCacheStats() {
+  return {...cache.getStats(), watch: watcher.getStatus()};
+}
+
 /**
  * Inserts a client record into the database, provided that it is not a
  * duplicate.
@@ -78,59 +260,101 @@ export async function get({id, explain = false} = {}) {
  * @param {object} options - Options to use.
  * @param {object} options.client - The client info to insert; must have
  *   `id` set and `sequence` set to `0`.
+ * @param {string} [options.actor] - An optional identifier for who inserted
+ *   the client, recorded in the client's history.
+ * @param {string} [options.reason] - An optional reason for the insertion,
+ *   recorded in the client's history.
+ * @param {number} [options.expires] - An optional time (in ms since the
+ *   epoch) at which the client expires.
  *
  * @returns {Promise<object>} An object with the client record.
  */
-export async function insert({client} = {}) {
+export async function insert({client, actor, reason, expires} = {}) {
   assert.object(client, 'client');
   assert.string(client.id, 'client.id');
   assert.number(client.sequence, 'client.sequence');
-  if(client.sequence !== 0) {
-    throw new BedrockError(
-      'Could not insert client record. Initial "sequence" must be "0".', {
-        name: 'InvalidStateError',
-        details: {
-          httpStatusCode: 409,
-          public: true
-        }
-      });
-  }
+  assert.optionalString(actor, 'actor');
+  assert.optionalString(reason, 'reason');
+  assert.optionalNumber(expires, 'expires');
+  return _insert({client, actor, reason, expires});
+}
 
-  const now = Date.now();
-  const collection = database.collections[COLLECTION_NAME];
-  const meta = {created: now, updated: now};
-  const record = {client, meta};
+/**
+ * Creates a new client with a generated ID and secret and inserts its record
+ * into the database. Only the hash of the secret is stored; the secret is
+ * returned once and cannot be retrieved again.
+ *
+ * @param {object} [options] - Options to use.
+ * @param {Array<string>} [options.allowedScopes=[]] - The scopes the client
+ *   is allowed to request.
+ * @param {string} [options.audience] - An optional audience for the client.
+ * @param {object} [options.properties={}] - Any other (application-specific)
+ *   client properties.
+ * @param {number} [options.expires] - An optional time (in ms since the
+ *   epoch) at which the client expires.
+ * @param {string} [options.actor] - An optional identifier for who created
+ *   the client, recorded in the client's history.
+ * @param {string} [options.reason] - An optional reason for the creation,
+ *   recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with an object with the client
+ *   `record` and its plaintext `secret`.
+ */
+export async function create({
+  allowedScopes = [], audience, properties = {}, expires, actor, reason
+} = {}) {
+  assert.arrayOfString(allowedScopes, 'allowedScopes');
+  assert.optionalString(audience, 'audience');
+  assert.object(properties, 'properties');
 
-  try {
-    await collection.insertOne({...record});
-    return record;
-  } catch(cause) {
-    if(!database.isDuplicateError(cause)) {
-      throw cause;
-    }
-    throw new BedrockError('Duplicate client record.', {
-      name: 'DuplicateError',
-      details: {
-        public: true,
-        httpStatusCode: 409
-      },
-      cause
-    });
+  const secret = generateSecret();
+  const client = {
+    ...properties,
+    id: crypto.randomUUID(),
+    sequence: 0,
+    allowedScopes,
+    secretHash: hashSecret({secret})
+  };
+  if(audience !== undefined) {
+    client.audience = audience;
   }
+  const record = await insert({client, expires, actor, reason});
+  return {record, secret};
 }
 
 /**
- * Retrieves all client records matching the given query.
+ * Retrieves all client records matching the given filter. Each filter field
+ * is validated and converted to an indexed database query, so filter values
+ * may safely come from untrusted input.
+ *
+ * A raw MongoDB `query` and query `options` may only be given if `raw=true`
+ * is also passed; never construct a raw query from untrusted input.
  *
  * @param {object} options - The options to use.
- * @param {object} options.query - The optional query to use (default: {}).
- * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {ClientFilter} [options.filter={}] - The filter to use.
+ * @param {number} [options.limit] - The maximum number of records to return.
+ * @param {boolean} [options.raw=false] - Set to true to allow `query` and
+ *   `options`.
+ * @param {object} [options.query] - A raw query, combined with any `filter`.
+ * @param {object} [options.options] - Raw query options (eg: 'sort').
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<Array | ExplainObject>} Resolves with the records that
  *   matched the query or returns an ExplainObject if `explain=true`.
  */
-export async function find({query = {}, options = {}, explain = false} = {}) {
+export async function find({
+  filter = {}, limit, raw = false, query, options, explain = false
+} = {}) {
+  assert.optionalNumber(limit, 'limit');
+  _validateFilter({filter});
+  if(!(raw || explain)) {
+    return storage.getBackend().find({filter, limit});
+  }
+
+  ({query, options} = _createRawQuery({filter, raw, query, options}));
+  if(limit !== undefined) {
+    options = {...options, limit};
+  }
   const collection = database.collections[COLLECTION_NAME];
 
   if(explain) {
@@ -143,17 +367,215 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
 }
 
 /**
- * Retrieves a count of all client records matching the given query.
+ * Retrieves a page of client records matching the given filter. Pages are
+ * ordered by `client.id` or by creation time; the returned `cursor` can be
+ * passed to retrieve the next page and is only present if there may be more
+ * records.
+ *
+ * As with `find()`, a raw MongoDB `query` may only be given if `raw=true`
+ * is also passed; never construct a raw query from untrusted input.
  *
  * @param {object} options - The options to use.
- * @param {object} options.query - The optional query to use (default: {}).
- * @param {object} [options.options={}] - Query options (eg: 'sort', 'limit').
+ * @param {ClientFilter} [options.filter={}] - The filter to use.
+ * @param {boolean} [options.raw=false] - Set to true to allow `query`.
+ * @param {object} [options.query] - A raw query, combined with any `filter`.
+ * @param {string} [options.sortBy='id'] - What to order records by: `id` or
+ *   `created`.
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ * @param {string} [options.cursor] - The cursor returned with the previous
+ *   page, if any.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
- * @returns {Promise<Array | ExplainObject>} Resolves with the records that
- *   matched the query or returns an ExplainObject if `explain=true`.
+ * @returns {Promise<object | ExplainObject>} Resolves with an object with
+ *   `records` and an optional `cursor` or an ExplainObject if
+ *   `explain=true`.
+ */
+export async function findPage({
+  filter = {}, raw = false, query, sortBy = 'id', limit = 100, cursor,
+  explain = false
+} = {}) {
+  assert.optionalObject(query, 'query');
+  assert.string(sortBy, 'sortBy');
+  assert.number(limit, 'limit');
+  assert.optionalString(cursor, 'cursor');
+  if(!PAGE_SORT_FIELDS.includes(sortBy)) {
+    throw new TypeError(
+      `"sortBy" must be one of: ${PAGE_SORT_FIELDS.join(', ')}.`);
+  }
+  if(!(Number.isInteger(limit) && limit > 0 && limit <= MAX_PAGE_LIMIT)) {
+    throw new TypeError(
+      `"limit" must be an integer from 1 to ${MAX_PAGE_LIMIT}.`);
+  }
+  _validateFilter({filter});
+  ({query} = _createRawQuery({filter, raw, query}));
+
+  const sort = sortBy === 'id' ?
+    {'client.id': 1} : {'meta.created': 1, 'client.id': 1};
+  if(cursor !== undefined) {
+    const after = _parseCursor({cursor, sortBy});
+    const cursorQuery = sortBy === 'id' ?
+      {'client.id': {$gt: after.id}} : {
+        $or: [
+          {'meta.created': {$gt: after.created}},
+          {'meta.created': after.created, 'client.id': {$gt: after.id}}
+        ]
+      };
+    query = {$and: [query, cursorQuery]};
+  }
+
+  // fetch one extra record to determine if there is another page
+  const options = {projection: {_id: 0}, sort, limit: limit + 1};
+  const collection = database.collections[COLLECTION_NAME];
+
+  if(explain) {
+    const dbCursor = await collection.find(query, options);
+    return dbCursor.explain('executionStats');
+  }
+
+  const records = await collection.find(query, options).toArray();
+  const result = {records};
+  if(records.length > limit) {
+    records.length = limit;
+    const {client: {id}, meta: {created}} = records.at(-1);
+    result.cursor = _createCursor({sortBy, id, created});
+  }
+  return result;
+}
+
+/**
+ * Iterates over all client records matching the given filter, fetching them
+ * from the database in pages. This is intended for use by batch jobs, such
+ * as exports, that must walk every client without loading all of them into
+ * memory.
+ *
+ * @param {object} options - The options to use.
+ * @param {ClientFilter} [options.filter={}] - The filter to use.
+ * @param {boolean} [options.raw=false] - Set to true to allow `query`.
+ * @param {object} [options.query] - A raw query, see `findPage()`.
+ * @param {string} [options.sortBy='id'] - What to order records by: `id` or
+ *   `created`.
+ * @param {number} [options.batchSize=100] - The number of records to fetch
+ *   from the database at once.
+ *
+ * @yields {object} Each matching client record.
+ */
+export async function* iterate({
+  filter = {}, raw = false, query, sortBy = 'id', batchSize = 100
+} = {}) {
+  let cursor;
+  do {
+    let records;
+    ({records, cursor} = await findPage({
+      filter, raw, query, sortBy, limit: batchSize, cursor
+    }));
+    yield* records;
+  } while(cursor);
+}
+
+/**
+ * Exports client records matching the given filter as JSON Lines, one
+ * client record per line, ordered by `client.id`. The result can be written
+ * to a file, e.g., via `stream.Readable.from()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {ClientFilter} [options.filter={}] - The filter to use.
+ * @param {boolean} [options.raw=false] - Set to true to allow `query`.
+ * @param {object} [options.query] - A raw query, see `findPage()`.
+ * @param {boolean} [options.redactSecrets=false] - Set to true to remove
+ *   secret hashes from the exported records.
+ *
+ * @yields {string} Each client record as a line of JSON (including the
+ *   trailing newline).
+ */
+export async function* exportClients({
+  filter = {}, raw = false, query, redactSecrets: redact = false
+} = {}) {
+  for await (let record of iterate({filter, raw, query})) {
+    if(redact) {
+      record = redactSecrets({record});
+    }
+    yield JSON.stringify(record) + '\n';
+  }
+}
+
+/**
+ * Imports client records from JSON Lines, such as those produced by
+ * `exportClients()`. Imported records keep their `sequence` and `meta`,
+ * which must be valid, including any `usage`, except that `managed` is
+ * dropped: imported clients are never managed (or pruned) by `seed()`.
+ * The history of an imported client starts over with the imported record.
+ *
+ * How an imported record that conflicts with an existing record is handled
+ * depends on `mode`: `skip-existing` leaves the existing record as is,
+ * `overwrite-if-newer` replaces the existing record if the imported record
+ * has a greater `sequence`, and `fail-on-conflict` stops the import.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.source - The JSON Lines to import as an (async)
+ *   iterable of strings or buffers, e.g., a readable file stream.
+ * @param {string} [options.mode='skip-existing'] - The import mode.
+ *
+ * @returns {Promise<object>} Resolves with an object with `results`, an
+ *   array with an entry for each imported line with its `line` number,
+ *   client `id` (if known), `status` (`inserted`, `updated`, `skipped` or
+ *   `failed`) and `error` (if `failed`), and `aborted` which is `true` if
+ *   the import was stopped early.
+ */
+export async function importClients({source, mode = 'skip-existing'} = {}) {
+  assert.ok(source, 'source');
+  assert.string(mode, 'mode');
+  if(!IMPORT_MODES.includes(mode)) {
+    throw new TypeError(`"mode" must be one of: ${IMPORT_MODES.join(', ')}.`);
+  }
+  _assertMongoDB({operation: '"importClients()"'});
+
+  const results = [];
+  const lines = readline.createInterface({
+    input: Readable.from(source),
+    crlfDelay: Infinity
+  });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if(text.trim() === '') {
+      continue;
+    }
+    const result = await _importRecord({text, mode});
+    results.push({line, ...result});
+    if(result.status === 'failed' && mode === 'fail-on-conflict') {
+      lines.close();
+      return {results, aborted: true};
+    }
+  }
+  return {results, aborted: false};
+}
+
+/**
+ * Retrieves a count of all client records matching the given filter. See
+ * `find()` for the use of `filter` and `raw`.
+ *
+ * @param {object} options - The options to use.
+ * @param {ClientFilter} [options.filter={}] - The filter to use.
+ * @param {boolean} [options.raw=false] - Set to true to allow `query` and
+ *   `options`.
+ * @param {object} [options.query] - A raw query, combined with any `filter`.
+ * @param {object} [options.options] - Raw query options (eg: 'limit').
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves with the number of
+ *   records that matched the query or returns an ExplainObject if
+ *   `explain=true`.
  */
-export async function count({query = {}, options = {}, explain = false} = {}) {
+export async function count({
+  filter = {}, raw = false, query, options, explain = false
+} = {}) {
+  _validateFilter({filter});
+  if(!(raw || explain)) {
+    return storage.getBackend().count({filter});
+  }
+
+  ({query, options} = _createRawQuery({filter, raw, query, options}));
   const collection = database.collections[COLLECTION_NAME];
 
   if(explain) {
@@ -173,52 +595,1923 @@ export async function count({query = {}, options = {}, explain = false} = {}) {
  * @param {object} options - The options to use.
  * @param {object} options.client - The new client info with `id`
  *   and `sequence` minimally set.
+ * @param {string} [options.actor] - An optional identifier for who updated
+ *   the client, recorded in the client's history.
+ * @param {string} [options.reason] - An optional reason for the update,
+ *   recorded in the client's history.
  * @param {boolean} [options.explain=false] - An optional explain boolean.
  *
  * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on update
  *   success or an ExplainObject if `explain=true`.
  */
-export async function update({client, explain = false} = {}) {
+export async function update({client, actor, reason, explain = false} = {}) {
   assert.object(client, 'client');
   assert.string(client.id, 'client.id');
   assert.number(client.sequence, 'client.sequence');
+  assert.optionalString(actor, 'actor');
+  assert.optionalString(reason, 'reason');
+  _validateClient({client});
+
+  if(explain) {
+    _assertMongoDB({operation: '"explain"'});
+    const collection = database.collections[COLLECTION_NAME];
+    const query = {
+      'client.id': client.id,
+      'client.sequence': client.sequence - 1
+    };
+    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const now = Date.now();
+
+  const oldRecord = await _findRecord({id: client.id});
+  if(oldRecord?.client.sequence === client.sequence - 1) {
+    const change = {
+      type: 'update', operation: 'update', id: client.id,
+      sequence: client.sequence, oldRecord,
+      newRecord: {client, meta: {...oldRecord.meta, updated: now}}
+    };
+    await events.emitBeforeChange(change);
+
+    if(await storage.getBackend().update({client, updated: now})) {
+      // document modified: success;
+      cache.invalidate({key: client.id});
+      await history.insert({client, actor, reason});
+      await events.emitAfterChange(change);
+      return true;
+    }
+  }
+
+  throw _createUpdateConflictError({expected: client.sequence - 1});
+}
+
+/**
+ * Modifies a client record using optimistic concurrency: the current record
+ * is loaded, `mutate` is called with a copy of its client info, and the
+ * result is written with the next `sequence`. If another process changes the
+ * record concurrently, the process is retried with backoff, calling `mutate`
+ * again with the newer client info.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {Function} options.mutate - A (possibly async) function that is
+ *   passed a copy of the current client info and returns the new client
+ *   info; the returned client's `id` must not change and its `sequence` is
+ *   set automatically. If nothing is returned, the (mutated) copy is used.
+ * @param {number} [options.maxRetries=5] - The maximum number of times to
+ *   retry after a sequence conflict.
+ * @param {string} [options.actor] - An optional identifier for who modified
+ *   the client, recorded in the client's history.
+ * @param {string} [options.reason] - An optional reason for the change,
+ *   recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the resulting client record.
+ */
+export async function modify({
+  id, mutate, maxRetries = 5, actor, reason
+} = {}) {
+  assert.string(id, 'id');
+  assert.func(mutate, 'mutate');
+  assert.number(maxRetries, 'maxRetries');
+
+  let attempt = 0;
+  while(true) {
+    const {client: current} = await get({
+      id, useCache: false,
+      includeRevoked: true, includeExpired: true, includeSuspended: true
+    });
+    const copy = structuredClone(current);
+    const client = {...(await mutate(copy) ?? copy)};
+    if(client.id !== id) {
+      throw new TypeError('"mutate" must not change the client "id".');
+    }
+    client.sequence = current.sequence + 1;
+
+    try {
+      await update({client, actor, reason});
+      return get({
+        id, useCache: false,
+        includeRevoked: true, includeExpired: true, includeSuspended: true
+      });
+    } catch(e) {
+      if(e.name !== 'InvalidStateError') {
+        throw e;
+      }
+      if(attempt++ >= maxRetries) {
+        const {client: {sequence: actual}} = await get({
+          id, useCache: false,
+          includeRevoked: true, includeExpired: true, includeSuspended: true
+        });
+        throw new BedrockError(
+          'Could not modify client record. ' +
+          'Sequence conflict retries exhausted.', {
+            name: 'InvalidStateError',
+            details: {
+              httpStatusCode: 409,
+              public: true,
+              expected: current.sequence,
+              actual
+            },
+            cause: e
+          });
+      }
+      // exponential backoff with jitter
+      await setTimeout(Math.random() * 25 * (2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Inserts many client records using a single bulk write. The same rules as
+ * for `insert()` apply to each client. Each client is inserted
+ * independently unless `ordered=true` is passed, in which case no clients
+ * after the first one that fails are inserted.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.clients - The clients to insert; each must
+ *   have `id` set and `sequence` set to `0`.
+ * @param {boolean} [options.ordered=false] - Set to true to stop at the
+ *   first failure.
+ * @param {string} [options.actor] - An optional identifier for who inserted
+ *   the clients, recorded in each client's history.
+ * @param {string} [options.reason] - An optional reason for the insertions,
+ *   recorded in each client's history.
+ *
+ * @returns {Promise<Array<object>>} Resolves with a result for each client,
+ *   in order, with the client `id`, a `status` (`inserted`, `failed` or, if
+ *   not attempted, `skipped`) and, if failed, an `error` (e.g., a
+ *   `DuplicateError`).
+ */
+export async function insertMany({
+  clients, ordered = false, actor, reason
+} = {}) {
+  _assertClients({clients});
+  assert.bool(ordered, 'ordered');
+  assert.optionalString(actor, 'actor');
+  assert.optionalString(reason, 'reason');
+  _assertMongoDB({operation: '"insertMany()"'});
+
+  const now = Date.now();
+  const results = clients.map(({id}) => ({id, status: 'skipped'}));
+  const pending = [];
+  for(const [index, client] of clients.entries()) {
+    try {
+      const record = _createInsertRecord({client, now});
+      const change = {
+        type: 'insert', operation: 'insertMany', id: client.id, sequence: 0,
+        newRecord: record
+      };
+      await events.emitBeforeChange(change);
+      pending.push({
+        index, change,
+        operation: {insertOne: {document: {...record}}}
+      });
+    } catch(error) {
+      results[index] = {id: client.id, status: 'failed', error};
+      if(ordered) {
+        break;
+      }
+    }
+  }
+
+  return _completeBulkWrite({
+    pending, results, ordered, status: 'inserted', actor, reason
+  });
+}
+
+/**
+ * Updates many client records. The same rules as for `update()` apply to
+ * each client: its `sequence` must be one greater than that of the existing
+ * record. Each client is updated independently unless `ordered=true` is
+ * passed, in which case no clients after the first one that fails
+ * (including due to a conflicting concurrent change) are updated.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.clients - The clients to update; client
+ *   IDs must be unique.
+ * @param {boolean} [options.ordered=false] - Set to true to stop at the
+ *   first failure.
+ * @param {string} [options.actor] - An optional identifier for who updated
+ *   the clients, recorded in each client's history.
+ * @param {string} [options.reason] - An optional reason for the updates,
+ *   recorded in each client's history.
+ *
+ * @returns {Promise<Array<object>>} Resolves with a result for each client,
+ *   in order, with the client `id`, a `status` (`updated`, `failed` or, if
+ *   not attempted, `skipped`) and, if failed, an `error` (e.g., an
+ *   `InvalidStateError`).
+ */
+export async function updateMany({
+  clients, ordered = false, actor, reason
+} = {}) {
+  _assertClients({clients});
+  assert.bool(ordered, 'ordered');
+  assert.optionalString(actor, 'actor');
+  assert.optionalString(reason, 'reason');
+  const ids = clients.map(({id}) => id);
+  if(new Set(ids).size !== ids.length) {
+    throw new TypeError('Client IDs must be unique.');
+  }
+  _assertMongoDB({operation: '"updateMany()"'});
+
+  const collection = database.collections[COLLECTION_NAME];
+  const existing = new Map();
+  for(const record of await collection.find(
+    {'client.id': {$in: ids}}, {projection: {_id: 0}}).toArray()) {
+    existing.set(record.client.id, record);
+  }
 
-  // build update
   const now = Date.now();
-  const update = {};
-  update.$set = {client, 'meta.updated': now};
+  const results = clients.map(({id}) => ({id, status: 'skipped'}));
+  const pending = [];
+  for(const [index, client] of clients.entries()) {
+    try {
+      assert.number(client.sequence, 'client.sequence');
+      _validateClient({client});
+      const expected = client.sequence - 1;
+      const oldRecord = existing.get(client.id);
+      if(oldRecord?.client.sequence !== expected) {
+        throw _createUpdateConflictError({expected});
+      }
+      const change = {
+        type: 'update', operation: 'updateMany', id: client.id,
+        sequence: client.sequence, oldRecord,
+        newRecord: {client, meta: {...oldRecord.meta, updated: now}}
+      };
+      await events.emitBeforeChange(change);
+      pending.push({
+        index, change,
+        operation: {
+          updateOne: {
+            filter: {'client.id': client.id, 'client.sequence': expected},
+            update: {$set: {client, 'meta.updated': now}}
+          }
+        }
+      });
+    } catch(error) {
+      results[index] = {id: client.id, status: 'failed', error};
+      if(ordered) {
+        break;
+      }
+    }
+  }
+
+  return _completeBulkWrite({
+    pending, results, ordered, status: 'updated', actor, reason
+  });
+}
+
+/**
+ * Removes a client record if the given `sequence` matches the `sequence` of
+ * the existing record.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on removal
+ *   success or an ExplainObject if `explain=true`.
+ */
+export async function remove({id, sequence, explain = false} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  _assertMongoDB({operation: '"remove()"'});
 
   const collection = database.collections[COLLECTION_NAME];
-  const query = {
-    'client.id': client.id,
-    'client.sequence': client.sequence - 1
-  };
+  const query = {'client.id': id, 'client.sequence': sequence};
 
   if(explain) {
-    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
+    // 'find().limit(1)' is used here because 'deleteOne()' doesn't return a
     // cursor which allows the use of the explain function.
     const cursor = await collection.find(query).limit(1);
     return cursor.explain('executionStats');
   }
 
-  const result = await collection.updateOne(query, update);
-  if(result.modifiedCount > 0) {
-    // document modified: success;
-    return true;
+  const oldRecord = await _findRecord({id});
+  if(oldRecord?.client.sequence === sequence) {
+    const change = {
+      type: 'remove', operation: 'remove', id, sequence, oldRecord
+    };
+    await events.emitBeforeChange(change);
+
+    const result = await collection.deleteOne(query);
+    if(result.deletedCount > 0) {
+      // document removed: success
+      cache.invalidate({key: id});
+      await history.removeAll({id});
+      await events.emitAfterChange(change);
+      return true;
+    }
   }
 
   throw new BedrockError(
-    'Could not update client record. ' +
+    'Could not remove client record. ' +
     'Sequence does not match existing record.', {
       name: 'InvalidStateError',
       details: {
         httpStatusCode: 409,
         public: true,
-        expected: client.sequence - 1
+        expected: sequence
       }
     });
 }
 
+/**
+ * Revokes a client record if the given `sequence` matches the `sequence` of
+ * the existing record. A revoked client record is kept in the database but
+ * will no longer be returned from `get()` (unless `includeRevoked=true` is
+ * passed) and its status is set to `disabled`. Revoking a client increments
+ * its `sequence`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {string} [options.reason] - An optional reason for the revocation.
+ * @param {string} [options.actor] - An optional identifier for who revoked
+ *   the client, recorded in the client's history.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves with `true` on
+ *   revocation success or an ExplainObject if `explain=true`.
+ */
+export async function revoke({
+  id, sequence, reason, actor, explain = false
+} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  assert.optionalString(reason, 'reason');
+  assert.optionalString(actor, 'actor');
+  _assertMongoDB({operation: '"revoke()"'});
+
+  // build update
+  const now = Date.now();
+  const revoked = {date: now};
+  if(reason !== undefined) {
+    revoked.reason = reason;
+  }
+  const update = {
+    $set: {
+      'meta.revoked': revoked, 'meta.status': 'disabled', 'meta.updated': now
+    },
+    $inc: {'client.sequence': 1}
+  };
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    'client.id': id,
+    'client.sequence': sequence,
+    'meta.revoked': {$exists: false}
+  };
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const oldRecord = await _findRecord({id});
+  if(oldRecord?.client.sequence === sequence && !oldRecord.meta.revoked) {
+    const change = {
+      type: 'update', operation: 'revoke', id, sequence: sequence + 1,
+      oldRecord, newRecord: _applyUpdate({record: oldRecord, update})
+    };
+    await events.emitBeforeChange(change);
+
+    const record = await collection.findOneAndUpdate(query, update, {
+      projection: {_id: 0},
+      returnDocument: 'after'
+    });
+    if(record) {
+      // document modified: success
+      cache.invalidate({key: id});
+      await history.insert({client: record.client, actor, reason});
+      await events.emitAfterChange({...change, newRecord: record});
+      return true;
+    }
+  }
+
+  throw new BedrockError(
+    'Could not revoke client record. ' +
+    'Sequence does not match existing record or record already revoked.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        expected: sequence
+      }
+    });
+}
+
+/**
+ * Sets, extends or clears the expiration time of a client record if the
+ * given `sequence` matches the `sequence` of the existing record. An expired
+ * client record is not returned from `get()` (unless `includeExpired=true`
+ * is passed) and is purged from the database once the grace period from
+ * `config['basic-authz-server-storage'].expiration.gracePeriod` has passed.
+ * The record's `sequence` is incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {number|null} options.expires - The time (in ms since the epoch) at
+ *   which the client expires or `null` to clear its expiration.
+ * @param {string} [options.actor] - An optional identifier for who changed
+ *   the expiration, recorded in the client's history.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function setExpiration({id, sequence, expires, actor} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  if(expires !== null) {
+    assert.number(expires, 'expires');
+  }
+  assert.optionalString(actor, 'actor');
+  _assertMongoDB({operation: '"setExpiration()"'});
+
+  const now = Date.now();
+  const update = {$inc: {'client.sequence': 1}};
+  if(expires === null) {
+    update.$set = {'meta.updated': now};
+    update.$unset = {'meta.expires': '', 'meta.purgeAt': ''};
+  } else {
+    const expirationMeta = _getExpirationMeta({expires});
+    update.$set = {
+      'meta.updated': now,
+      'meta.expires': expirationMeta.expires,
+      'meta.purgeAt': expirationMeta.purgeAt
+    };
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {'client.id': id, 'client.sequence': sequence};
+  const oldRecord = await _findRecord({id});
+  if(oldRecord?.client.sequence === sequence) {
+    const change = {
+      type: 'update', operation: 'setExpiration', id,
+      sequence: sequence + 1, oldRecord,
+      newRecord: _applyUpdate({record: oldRecord, update})
+    };
+    await events.emitBeforeChange(change);
+
+    const record = await collection.findOneAndUpdate(query, update, {
+      projection: {_id: 0},
+      returnDocument: 'after'
+    });
+    if(record) {
+      // document modified: success
+      cache.invalidate({key: id});
+      const reason = expires === null ?
+        'Expiration cleared.' : `Expiration set to ${expires}.`;
+      await history.insert({client: record.client, actor, reason});
+      await events.emitAfterChange({...change, newRecord: record});
+      return true;
+    }
+  }
+
+  throw new BedrockError(
+    'Could not set client record expiration. ' +
+    'Sequence does not match existing record.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        expected: sequence
+      }
+    });
+}
+
+/**
+ * Suspends a client, e.g., during an incident. A suspended client keeps its
+ * ID, scopes and secrets but is not returned from `get()` (unless
+ * `includeSuspended=true` is passed); instead a `NotAllowedError` with
+ * `details.suspended=true` is thrown, which a `getOAuth2Client`
+ * implementation (such as one from `createOAuth2ClientLoader()`) surfaces.
+ * The suspension ends when `reactivate()` is called or, if given, once
+ * `until` has passed. Suspending an already suspended client replaces its
+ * `reason` and `until`; a revoked (`disabled`) client cannot be suspended.
+ * The record's `sequence` is incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {string} [options.reason] - An optional reason for the suspension.
+ * @param {number} [options.until] - An optional time (in ms since the
+ *   epoch) at which the client is automatically reactivated.
+ * @param {string} [options.actor] - An optional identifier for who
+ *   suspended the client, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the resulting client record.
+ */
+export async function suspend({id, reason, until, actor} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(reason, 'reason');
+  assert.optionalNumber(until, 'until');
+  assert.optionalString(actor, 'actor');
+
+  const now = Date.now();
+  const suspended = {date: now};
+  if(reason !== undefined) {
+    suspended.reason = reason;
+  }
+  if(until !== undefined) {
+    suspended.until = until;
+  }
+  return _setStatus({
+    id, operation: 'suspend', from: ['active', 'suspended'],
+    update: {
+      $set: {
+        'meta.status': 'suspended', 'meta.suspended': suspended,
+        'meta.updated': now
+      }
+    },
+    actor, reason: reason ?? 'Suspended.'
+  });
+}
+
+/**
+ * Reactivates a suspended client. Reactivating an active client is a no-op;
+ * a revoked (`disabled`) client cannot be reactivated. The record's
+ * `sequence` is incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {string} [options.actor] - An optional identifier for who
+ *   reactivated the client, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the resulting client record.
+ */
+export async function reactivate({id, actor} = {}) {
+  assert.string(id, 'id');
+  assert.optionalString(actor, 'actor');
+
+  return _setStatus({
+    id, operation: 'reactivate', from: ['suspended'],
+    update: {
+      $set: {'meta.status': 'active', 'meta.updated': Date.now()},
+      $unset: {'meta.suspended': ''}
+    },
+    actor, reason: 'Reactivated.'
+  });
+}
+
+/**
+ * Runs all registered schema migrations (see `migrations.register()`) on
+ * stored client records that have an older `meta.schemaVersion`. This is
+ * done at startup unless
+ * `config['basic-authz-server-storage'].migrations.runOnStartup` is false.
+ * Only one process runs migrations at a time; records that have not been
+ * migrated yet are migrated when read via `get()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {boolean} [options.dryRun=false] - Set to true to only report how
+ *   many records each migration would change.
+ *
+ * @returns {Promise<object>} Resolves with `{locked, results}` where
+ *   `locked` is true if another process is running migrations and `results`
+ *   has the `version`, `description` and record `count` of each migration.
+ */
+export async function migrate({dryRun = false} = {}) {
+  _assertMongoDB({operation: '"migrate()"'});
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await migrations.run({collection, dryRun});
+  if(!dryRun) {
+    cache.clear();
+  }
+  return result;
+}
+
+/**
+ * Records that a client has been used, e.g., by a token endpoint that has
+ * issued an access token to the client. Usage is stored in the record's
+ * `meta.usage` as `lastUsed`, `tokenCount` and `lastIp` without changing
+ * the client's `sequence` or history.
+ *
+ * To limit database writes, usage is written at most once per client per
+ * `config['basic-authz-server-storage'].usage.throttleInterval`; usage
+ * recorded in between is accumulated in-process and included in the next
+ * write. Usage is accumulated for at most
+ * `config['basic-authz-server-storage'].usage.maxClients` clients; unwritten
+ * usage of the least recently used clients beyond that is discarded.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {object} options.event - The usage event.
+ * @param {string} options.event.type - The type of usage; `token` counts
+ *   as an issued token.
+ * @param {string} [options.event.ip] - The IP address the client used.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if usage was written or
+ *   `false` if the write was throttled or the client is not stored.
+ */
+export async function recordUsage({id, event: {type, ip} = {}} = {}) {
+  assert.string(id, 'id');
+  assert.string(type, 'event.type');
+  assert.optionalString(ip, 'event.ip');
+  _assertMongoDB({operation: '"recordUsage()"'});
+
+  if(!USAGE) {
+    USAGE = new LRUCache({max: config[NAMESPACE].usage.maxClients});
+  }
+  const now = Date.now();
+  let usage = USAGE.get(id);
+  if(!usage) {
+    usage = {written: 0, tokenCount: 0};
+    USAGE.set(id, usage);
+  }
+  usage.lastUsed = now;
+  if(ip !== undefined) {
+    usage.lastIp = ip;
+  }
+  if(type === 'token') {
+    usage.tokenCount++;
+  }
+
+  const {throttleInterval} = config[NAMESPACE].usage;
+  if(now - usage.written < throttleInterval) {
+    return false;
+  }
+
+  const {tokenCount, lastIp} = usage;
+  const update = {$set: {'meta.usage.lastUsed': now}};
+  if(lastIp !== undefined) {
+    update.$set['meta.usage.lastIp'] = lastIp;
+  }
+  if(tokenCount > 0) {
+    update.$inc = {'meta.usage.tokenCount': tokenCount};
+  }
+  usage.written = now;
+  usage.tokenCount = 0;
+
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    const result = await collection.updateOne({'client.id': id}, update);
+    if(result.matchedCount === 0) {
+      // client is not stored, do not track its usage
+      USAGE.delete(id);
+      return false;
+    }
+    return true;
+  } catch(e) {
+    // try again on next use
+    usage.written = 0;
+    usage.tokenCount += tokenCount;
+    throw e;
+  }
+}
+
+/**
+ * Checks a client's rate limits and, if none has been reached, consumes one
+ * token from each. A client's limits are taken from its `rateLimits`, with
+ * any unset limits taken from
+ * `config['basic-authz-server-storage'].rateLimits.defaults`; the defaults
+ * also apply to clients that are not stored (e.g., clients from config).
+ *
+ * A token endpoint can respond with HTTP 429 and the returned `retryAfter`
+ * as a `Retry-After` header if the token is not `allowed`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ *
+ * @returns {Promise<object>} Resolves with an object with `allowed` and,
+ *   if the client has limits, `remaining` (the lowest remaining allowance of
+ *   any limit), `reset` (the time, in ms, at which that allowance resets)
+ *   and, if not allowed, `retryAfter` (an estimate of the number of seconds
+ *   to wait).
+ */
+export async function checkAndConsume({id} = {}) {
+  assert.string(id, 'id');
+  // rate limit counters are only stored in MongoDB
+  _assertMongoDB({operation: '"checkAndConsume()"'});
+
+  let clientLimits;
+  try {
+    ({client: {rateLimits: clientLimits}} = await get({id}));
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  const {defaults, window: defaultWindow} = config[NAMESPACE].rateLimits;
+  const limits = {...defaults};
+  let window = defaultWindow;
+  for(const [name, value] of Object.entries(clientLimits ?? {})) {
+    if(name === 'window') {
+      window = value;
+    } else {
+      limits[name] = value;
+    }
+  }
+  return rateLimits.consume({clientId: id, limits, window});
+}
+
+/**
+ * Retrieves all client records that have not been used since the given
+ * time, i.e., that were last used (or, if never used, created) before it.
+ * See `recordUsage()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.since - The time (in ms since the epoch).
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the records that
+ *   matched or returns an ExplainObject if `explain=true`.
+ */
+export async function findUnused({since, explain = false} = {}) {
+  assert.number(since, 'since');
+
+  const query = {
+    $or: [
+      {'meta.usage.lastUsed': {$lt: since}},
+      {
+        'meta.usage.lastUsed': {$exists: false},
+        'meta.created': {$lt: since}
+      }
+    ]
+  };
+  return find({raw: true, query, options: {projection: {_id: 0}}, explain});
+}
+
+/**
+ * Retrieves the client records that allow a scope, i.e., whose
+ * `allowedScopes` include `<action>:<target>` or, if `match=prefix`, a scope
+ * that starts with it (e.g., `write:/foo` matches `write:/foo/bar`). Prefixes
+ * are not limited to path segments, so `write:/foo` also matches
+ * `write:/foobar`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.action - The action of the scope, e.g., `write`.
+ * @param {string} options.target - The target of the scope, e.g., `/foo`.
+ * @param {string} [options.match='exact'] - How to match the scope: `exact`
+ *   or `prefix`.
+ * @param {string} [options.status] - An optional client status to also
+ *   match: `active`, `suspended` or `disabled`.
+ * @param {number} [options.limit] - The maximum number of records to return.
+ * @param {boolean} [options.explain=false] - An optional explain boolean.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the records that
+ *   matched or returns an ExplainObject if `explain=true`.
+ */
+export async function findByScope({
+  action, target, match = 'exact', status, limit, explain = false
+} = {}) {
+  assert.string(action, 'action');
+  assert.string(target, 'target');
+  if(!SCOPE_MATCHES.includes(match)) {
+    throw new TypeError(`"match" must be one of: ${SCOPE_MATCHES.join(', ')}.`);
+  }
+  // validate each part on its own; an invalid `action` such as `write:`
+  // could otherwise still result in a valid scope
+  if(!VALIDATE_SCOPE_QUERY) {
+    VALIDATE_SCOPE_QUERY = compile({schema: scopeQuerySchema});
+  }
+  const result = VALIDATE_SCOPE_QUERY({action, target});
+  if(!result.valid) {
+    throw result.error;
+  }
+
+  const scope = `${action}:${target}`;
+  const filter = match === 'exact' ? {scope} : {scopePrefix: scope};
+  if(status !== undefined) {
+    filter.status = status;
+  }
+  return find({filter, limit, explain});
+}
+
+/**
+ * Atomically adds scopes to a client's `allowedScopes` without replacing
+ * the rest of the client. If any of the scopes were not already allowed, the
+ * record's `sequence` is incremented; otherwise the record is unchanged, so
+ * this operation is safe to retry. Concurrent changes to the record are
+ * retried with the newer record.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {Array<string>} options.scopes - The scopes to add.
+ * @param {string} [options.actor] - An optional identifier for who granted
+ *   the scopes, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the resulting client record.
+ */
+export async function grantScopes({id, scopes, actor} = {}) {
+  return _updateScopes({id, scopes, actor, grant: true});
+}
+
+/**
+ * Atomically removes scopes from a client's `allowedScopes` without
+ * replacing the rest of the client. If any of the scopes were allowed, the
+ * record's `sequence` is incremented; otherwise the record is unchanged, so
+ * this operation is safe to retry. Concurrent changes to the record are
+ * retried with the newer record.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {Array<string>} options.scopes - The scopes to remove.
+ * @param {string} [options.actor] - An optional identifier for who revoked
+ *   the scopes, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the resulting client record.
+ */
+export async function revokeScopes({id, scopes, actor} = {}) {
+  return _updateScopes({id, scopes, actor, grant: false});
+}
+
+/**
+ * Rolls a client back to a previous snapshot from its history by writing the
+ * snapshot's client info as a new `sequence`. The rollback itself is recorded
+ * in the client's history. The client's current secrets are kept unless
+ * `restoreSecrets=true` is passed, so that rolling back other client info
+ * does not reactivate previously retired or reset secrets.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {number} options.toSequence - The `sequence` of the snapshot to
+ *   roll back to.
+ * @param {string} [options.actor] - An optional identifier for who rolled
+ *   back the client, recorded in the client's history.
+ * @param {string} [options.reason] - An optional reason for the rollback,
+ *   recorded in the client's history.
+ * @param {boolean} [options.restoreSecrets=false] - Set to true to also
+ *   restore the snapshot's `secretHash` and `secrets`.
+ *
+ * @returns {Promise<object>} Resolves with the new client info.
+ */
+export async function rollback({
+  id, sequence, toSequence, actor, reason, restoreSecrets = false
+} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  assert.number(toSequence, 'toSequence');
+  assert.bool(restoreSecrets, 'restoreSecrets');
+  // client history is only recorded by the MongoDB backend
+  _assertMongoDB({operation: '"rollback()"'});
+
+  const snapshot = await history.get({id, sequence: toSequence});
+  const client = {...snapshot.client, sequence: sequence + 1};
+  if(!restoreSecrets) {
+    const {client: current} = await _getForModification({id, sequence});
+    for(const key of ['secretHash', 'secrets']) {
+      if(current[key] === undefined) {
+        delete client[key];
+      } else {
+        client[key] = current[key];
+      }
+    }
+  }
+  reason = reason ?? `Rollback to sequence ${toSequence}.`;
+  await update({client, actor, reason});
+  return client;
+}
+
+/**
+ * Adds a new secret hash to a client record, making it the client's primary
+ * `secretHash`. Any previously active secrets that do not yet have an
+ * expiration time will remain valid until the end of the given grace period.
+ * The record's `sequence` is incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {string} options.secretHash - The hash of the new client secret.
+ * @param {number} [options.gracePeriod] - The time (in ms) that previously
+ *   active secrets remain valid; defaults to
+ *   `config['basic-authz-server-storage'].secrets.rotationGracePeriod`.
+ * @param {string} [options.actor] - An optional identifier for who rotated
+ *   the secret, recorded in the client's history.
+ * @param {string} [options.reason='Secret rotated.'] - An optional reason
+ *   for the rotation, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with the new active secret.
+ */
+export async function rotateSecret({
+  id, sequence, secretHash, gracePeriod, actor, reason = 'Secret rotated.'
+} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  assert.string(secretHash, 'secretHash');
+  assert.optionalNumber(gracePeriod, 'gracePeriod');
+  assert.optionalString(actor, 'actor');
+  assert.string(reason, 'reason');
+
+  gracePeriod = gracePeriod ?? config[NAMESPACE].secrets.rotationGracePeriod;
+
+  const {client} = await _getForModification({id, sequence});
+  const now = Date.now();
+  const expires = now + gracePeriod;
+  const secrets = _getSecrets({client}).map(
+    s => s.expires === undefined ? {...s, expires} : s);
+  const secret = {id: crypto.randomUUID(), secretHash, created: now};
+  secrets.push(secret);
+
+  await update({
+    client: {...client, secretHash, secrets, sequence: sequence + 1},
+    actor,
+    reason
+  });
+  return secret;
+}
+
+/**
+ * Replaces all of a client's secrets with a newly generated secret. Only the
+ * hash of the new secret is stored; the secret is returned once and cannot
+ * be retrieved again. Any previous secrets stop working immediately; use
+ * `rotateSecret()` to keep previous secrets valid for a grace period. The
+ * record's `sequence` is incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} [options.sequence] - The current `sequence` of the client
+ *   record; if not given, the secret is reset via `modify()`, regardless of
+ *   any concurrent changes.
+ * @param {string} [options.actor] - An optional identifier for who reset the
+ *   secret, recorded in the client's history.
+ *
+ * @returns {Promise<object>} Resolves with an object with the new plaintext
+ *   `secret`.
+ */
+export async function resetSecret({id, sequence, actor} = {}) {
+  assert.string(id, 'id');
+  assert.optionalNumber(sequence, 'sequence');
+  assert.optionalString(actor, 'actor');
+
+  const secret = generateSecret();
+  const secretHash = hashSecret({secret});
+  const secrets = [{id: crypto.randomUUID(), secretHash, created: Date.now()}];
+  const reason = 'Secret reset.';
+  if(sequence === undefined) {
+    await modify({
+      id, mutate: client => ({...client, secretHash, secrets}), actor, reason
+    });
+    return {secret};
+  }
+
+  const {client} = await _getForModification({id, sequence});
+  await update({
+    client: {...client, secretHash, secrets, sequence: sequence + 1},
+    actor,
+    reason
+  });
+  return {secret};
+}
+
+/**
+ * Retrieves the active (non-expired) secrets for a client, including their
+ * creation and expiration times.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ *
+ * @returns {Promise<Array>} Resolves with the active secrets.
+ */
+export async function getSecrets({id} = {}) {
+  const {client} = await get({
+    id, includeRevoked: true, includeExpired: true, includeSuspended: true
+  });
+  return _getSecrets({client}).filter(_isActiveSecret({now: Date.now()}));
+}
+
+/**
+ * Retires a client secret so that it can no longer be used. If the retired
+ * secret was the client's primary `secretHash`, the most recently created
+ * remaining active secret becomes the primary `secretHash`. The last active
+ * secret for a client cannot be retired. The record's `sequence` is
+ * incremented.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The current `sequence` of the client
+ *   record.
+ * @param {string} options.secretId - The ID of the secret to retire.
+ * @param {string} [options.actor] - An optional identifier for who retired
+ *   the secret, recorded in the client's history.
+ * @param {string} [options.reason='Secret retired.'] - An optional reason
+ *   for retiring the secret, recorded in the client's history.
+ *
+ * @returns {Promise<boolean>} Resolves with `true` on success.
+ */
+export async function retireSecret({
+  id, sequence, secretId, actor, reason = 'Secret retired.'
+} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  assert.string(secretId, 'secretId');
+  assert.optionalString(actor, 'actor');
+  assert.string(reason, 'reason');
+
+  const {client} = await _getForModification({id, sequence});
+  const now = Date.now();
+  const secrets = _getSecrets({client})
+    .filter(_isActiveSecret({now}));
+  const secret = secrets.find(s => s.id === secretId);
+  if(!secret) {
+    throw new BedrockError('Client secret not found.', {
+      name: 'NotFoundError',
+      details: {
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+  const remaining = secrets.filter(s => s !== secret);
+  if(remaining.length === 0) {
+    throw new BedrockError(
+      'Could not retire client secret. ' +
+      'The last active client secret cannot be retired.', {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  let {secretHash} = client;
+  if(secret.secretHash === secretHash) {
+    ({secretHash} = remaining.reduce((a, b) => b.created > a.created ? b : a));
+  }
+  await update({
+    client: {
+      ...client, secretHash, secrets: remaining, sequence: sequence + 1
+    },
+    actor,
+    reason
+  });
+  return true;
+}
+
+/**
+ * Gets all active (non-expired) secret hashes for the given client. This can
+ * be used by an OAuth2 client lookup implementation to accept any active
+ * secret for a client that is in the process of rotating its secret; see
+ * `createOAuth2ClientCredentialsMiddleware()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.client - The client from a client record.
+ * @param {number} [options.now=Date.now()] - The current time (in ms).
+ *
+ * @returns {Array<string>} The active secret hashes.
+ */
+export function getActiveSecretHashes({client, now = Date.now()} = {}) {
+  assert.object(client, 'client');
+  return _getSecrets({client})
+    .filter(_isActiveSecret({now}))
+    .map(({secretHash}) => secretHash);
+}
+
+/**
+ * Seeds client records from the given clients, typically from
+ * `config['basic-authz-server-storage'].seed`. Missing clients are inserted
+ * and marked as managed by the seed; existing clients that differ from the
+ * given clients are updated with the next `sequence`. If `prune` is set,
+ * managed clients that are not in the given clients are revoked.
+ *
+ * Seeding is idempotent and safe to run on multiple nodes at once. Revoked
+ * clients are never updated.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<object>} options.clients - The clients to seed; each client
+ *   must have an `id` and no `sequence`.
+ * @param {boolean} [options.prune=false] - Set to true to revoke managed
+ *   clients that are not in `clients`.
+ *
+ * @returns {Promise<object>} Resolves with an object with the IDs of the
+ *   `inserted`, `updated` and `revoked` clients.
+ */
+export async function seed({clients, prune = false} = {}) {
+  assert.arrayOfObject(clients, 'clients');
+  assert.bool(prune, 'prune');
+
+  if(prune) {
+    _assertMongoDB({operation: 'Pruning seeded clients'});
+  }
+
+  const actor = 'seed';
+  const result = {inserted: [], updated: [], revoked: []};
+  for(const seedClient of clients) {
+    assert.string(seedClient.id, 'client.id');
+    if(seedClient.sequence !== undefined) {
+      throw new TypeError(
+        `Seeded client "${seedClient.id}" must not have a "sequence".`);
+    }
+    const {id} = seedClient;
+    let record;
+    try {
+      record = await get({
+        id, useCache: false,
+        includeRevoked: true, includeExpired: true, includeSuspended: true
+      });
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+
+    try {
+      if(!record) {
+        const client = {...seedClient, sequence: 0};
+        await _insert({
+          client, actor, reason: 'Seeded client inserted.', managed: true
+        });
+        result.inserted.push(id);
+        continue;
+      }
+
+      if(record.meta.revoked) {
+        logger.warning(`Seeded client "${id}" is revoked; skipping.`);
+        continue;
+      }
+
+      const {sequence, ...existing} = record.client;
+      if(!isDeepStrictEqual(existing, seedClient)) {
+        const client = {...seedClient, sequence: sequence + 1};
+        await update({client, actor, reason: 'Seeded client updated.'});
+        result.updated.push(id);
+      }
+    } catch(e) {
+      // another process seeded the same client concurrently
+      if(!(e.name === 'DuplicateError' || e.name === 'InvalidStateError')) {
+        throw e;
+      }
+    }
+  }
+
+  if(prune) {
+    const ids = clients.map(({id}) => id);
+    const collection = database.collections[COLLECTION_NAME];
+    const records = await collection.find({
+      'meta.managed': true,
+      'meta.revoked': {$exists: false},
+      'client.id': {$nin: ids}
+    }, {projection: {_id: 0, 'client.id': 1, 'client.sequence': 1}})
+      .toArray();
+    for(const {client: {id, sequence}} of records) {
+      try {
+        await revoke({
+          id, sequence, actor, reason: 'Seeded client removed from config.'
+        });
+        result.revoked.push(id);
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+      }
+    }
+  }
+
+  if(result.inserted.length + result.updated.length +
+    result.revoked.length > 0) {
+    logger.info('Seeded clients.', result);
+  }
+  return result;
+}
+
+/**
+ * Creates a `getOAuth2Client` function for use with `addOAuth2AuthzServer()`
+ * from `@bedrock/basic-authz-server` that loads clients from this storage,
+ * optionally in combination with clients from the basic-authz-server config.
+ *
+ * A client that is not found in one source is looked up in the other (unless
+ * `precedence` is `database-only`); any other error, such as a client having
+ * been revoked (`NotAllowedError`), is thrown immediately. A client that is
+ * not found in any source results in a `NotFoundError`.
+ *
+ * A client loaded from the database only accepts its previous secrets during
+ * a `rotateSecret()` grace period if the token route also uses the middleware
+ * from `createOAuth2ClientCredentialsMiddleware()`; without it, the client is
+ * returned with its primary `secretHash` only and any previous secrets are
+ * rejected by the token endpoint.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.precedence='config'] - Where to look for clients
+ *   first: `config` (then the database), `database` (then config), or
+ *   `database-only`.
+ *
+ * @returns {Function} An async `getOAuth2Client({clientId})` function that
+ *   resolves with the client.
+ */
+export function createOAuth2ClientLoader({precedence = 'config'} = {}) {
+  assert.string(precedence, 'precedence');
+  if(!LOADER_PRECEDENCES.includes(precedence)) {
+    throw new TypeError(
+      '"precedence" must be one of: ' +
+      `${LOADER_PRECEDENCES.join(', ')}.`);
+  }
+
+  const sources = {
+    config: getOAuth2ClientFromConfig,
+    database: _getOAuth2ClientFromDatabase
+  };
+  const order = precedence === 'config' ? ['config', 'database'] :
+    precedence === 'database' ? ['database', 'config'] : ['database'];
+
+  return async function getOAuth2Client({clientId} = {}) {
+    let error;
+    for(const source of order) {
+      try {
+        return await sources[source]({clientId});
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        error = e;
+      }
+    }
+    throw new BedrockError(`OAuth2 client "${clientId}" not found.`, {
+      name: 'NotFoundError',
+      details: {
+        httpStatusCode: 404,
+        public: true
+      },
+      cause: error
+    });
+  };
+}
+
+/**
+ * Creates an express middleware that makes the client credentials presented
+ * via HTTP Basic authentication available to the `getOAuth2Client` function
+ * created by `createOAuth2ClientLoader()`.
+ *
+ * `@bedrock/basic-authz-server` checks a presented secret against a client's
+ * single `secretHash`. With this middleware in place, a client loaded from
+ * the database has its `secretHash` set to whichever of its active secret
+ * hashes (see `getActiveSecretHashes()`) matches the presented secret, so
+ * that previous secrets keep working during a `rotateSecret()` grace period.
+ *
+ * Mount it on the token route path only, before calling
+ * `addOAuth2AuthzServer()`, e.g.,
+ * `app.use('/openid/token', createOAuth2ClientCredentialsMiddleware())`. It
+ * binds the request's events to the credentials so that they remain
+ * available once the token route has read the request body, so it must not
+ * be mounted for other routes.
+ *
+ * @returns {Function} An express middleware function.
+ */
+export function createOAuth2ClientCredentialsMiddleware() {
+  return function setClientCredentials(req, res, next) {
+    const credentials = _parseBasicCredentials({req});
+    if(!credentials) {
+      return next();
+    }
+    CLIENT_CREDENTIALS.run(credentials, () => {
+      // request body events (e.g., for body parsing in the token route) are
+      // emitted outside of this context; bind them so that the credentials
+      // are still available once the body has been read
+      req.emit = AsyncResource.bind(req.emit, 'ClientCredentials', req);
+      next();
+    });
+  };
+}
+
+async function _seedFromConfig() {
+  const {clients, prune} = config[NAMESPACE].seed;
+  await seed({clients: Object.values(clients), prune});
+}
+
+async function _importRecord({text, mode}) {
+  let record;
+  let id;
+  try {
+    record = JSON.parse(text);
+    if(!(record && typeof record.client === 'object' &&
+      typeof record.meta === 'object')) {
+      throw new BedrockError(
+        'Imported client record must have "client" and "meta".', {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+    id = record.client.id;
+    _validateClient({client: record.client});
+    _validateImportedMeta({meta: record.meta});
+  } catch(error) {
+    return {id, status: 'failed', error};
+  }
+
+  const {client} = record;
+  // an imported record is never managed by `seed()` here, even if it was
+  // seeded where it was exported, so that pruning cannot revoke it
+  const meta = {...record.meta};
+  delete meta.managed;
+  delete meta.purgeAt;
+  if(typeof meta.expires === 'number') {
+    Object.assign(meta, _getExpirationMeta({expires: meta.expires}));
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  const existing = await _findRecord({id});
+  const newRecord = {client, meta};
+  const change = {
+    type: existing ? 'update' : 'insert', operation: 'import', id,
+    sequence: client.sequence, oldRecord: existing ?? undefined, newRecord
+  };
+  try {
+    let status;
+    if(!existing) {
+      await events.emitBeforeChange(change);
+      await collection.insertOne({...newRecord});
+      status = 'inserted';
+    } else if(mode === 'fail-on-conflict') {
+      throw new BedrockError('Duplicate client record.', {
+        name: 'DuplicateError',
+        details: {
+          public: true,
+          httpStatusCode: 409
+        }
+      });
+    } else if(mode === 'overwrite-if-newer' &&
+      client.sequence > existing.client.sequence) {
+      await events.emitBeforeChange(change);
+      const result = await collection.replaceOne({
+        'client.id': id,
+        'client.sequence': existing.client.sequence
+      }, {...newRecord});
+      if(result.modifiedCount === 0) {
+        throw new BedrockError(
+          'Could not update client record. ' +
+          'Sequence does not match existing record.', {
+            name: 'InvalidStateError',
+            details: {
+              httpStatusCode: 409,
+              public: true,
+              expected: existing.client.sequence
+            }
+          });
+      }
+      status = 'updated';
+    } else {
+      return {id, status: 'skipped'};
+    }
+    cache.invalidate({key: id});
+    // the imported record's history is not known, so it starts a new one
+    await history.insert({
+      client, actor: 'import', reason: 'Imported.', initial: true
+    });
+    await events.emitAfterChange(change);
+    return {id, status};
+  } catch(e) {
+    let error = e;
+    if(database.isDuplicateError(e)) {
+      error = new BedrockError('Duplicate client record.', {
+        name: 'DuplicateError',
+        details: {
+          public: true,
+          httpStatusCode: 409
+        },
+        cause: e
+      });
+    }
+    return {id, status: 'failed', error};
+  }
+}
+
+async function _updateScopes({
+  id, scopes, actor, grant, maxRetries = 5
+}) {
+  assert.string(id, 'id');
+  assert.arrayOfString(scopes, 'scopes');
+  assert.optionalString(actor, 'actor');
+  _assertMongoDB({
+    operation: grant ? '"grantScopes()"' : '"revokeScopes()"'
+  });
+  if(!VALIDATE_SCOPES) {
+    VALIDATE_SCOPES = compile({schema: scopesSchema});
+  }
+  const result = VALIDATE_SCOPES(scopes);
+  if(!result.valid) {
+    throw result.error;
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  let attempt = 0;
+  while(true) {
+    const oldRecord = await _findRecord({id});
+    const current = oldRecord?.client.allowedScopes ?? [];
+    const allowedScopes = grant ?
+      [...new Set([...current, ...scopes])] :
+      current.filter(scope => !scopes.includes(scope));
+    if(!oldRecord || allowedScopes.length === current.length) {
+      // nothing to change (or not found)
+      return get({
+        id, useCache: false,
+        includeRevoked: true, includeExpired: true, includeSuspended: true
+      });
+    }
+
+    const {sequence} = oldRecord.client;
+    const update = {
+      $set: {'client.allowedScopes': allowedScopes, 'meta.updated': Date.now()},
+      $inc: {'client.sequence': 1}
+    };
+    const change = {
+      type: 'update', operation: grant ? 'grantScopes' : 'revokeScopes', id,
+      sequence: sequence + 1, oldRecord,
+      newRecord: _applyUpdate({record: oldRecord, update})
+    };
+    await events.emitBeforeChange(change);
+
+    const record = await collection.findOneAndUpdate(
+      {'client.id': id, 'client.sequence': sequence}, update, {
+        projection: {_id: 0},
+        returnDocument: 'after'
+      });
+    if(record) {
+      cache.invalidate({key: id});
+      const reason = `${grant ? 'Granted' : 'Revoked'} scopes: ` +
+        `${scopes.join(', ')}.`;
+      await history.insert({client: record.client, actor, reason});
+      await events.emitAfterChange({...change, newRecord: record});
+      return record;
+    }
+
+    // the record changed concurrently; retry with the newer record
+    if(attempt++ >= maxRetries) {
+      throw new BedrockError(
+        'Could not update client scopes. ' +
+        'Sequence conflict retries exhausted.', {
+          name: 'InvalidStateError',
+          details: {
+            httpStatusCode: 409,
+            public: true,
+            expected: sequence
+          }
+        });
+    }
+    // exponential backoff with jitter
+    await setTimeout(Math.random() * 25 * (2 ** attempt));
+  }
+}
+
+// applies a MongoDB `$set`, `$unset` and `$inc` update to a copy of the given
+// record to get the resulting record, e.g., for `emitBeforeChange()`
+function _applyUpdate({record, update}) {
+  const newRecord = structuredClone(record);
+  const {$set = {}, $unset = {}, $inc = {}} = update;
+  for(const [path, value] of Object.entries($set)) {
+    const {parent, key} = _resolvePath({object: newRecord, path});
+    parent[key] = structuredClone(value);
+  }
+  for(const path of Object.keys($unset)) {
+    const {parent, key} = _resolvePath({object: newRecord, path});
+    delete parent[key];
+  }
+  for(const [path, value] of Object.entries($inc)) {
+    const {parent, key} = _resolvePath({object: newRecord, path});
+    parent[key] = (parent[key] ?? 0) + value;
+  }
+  return newRecord;
+}
+
+function _resolvePath({object, path}) {
+  const keys = path.split('.');
+  const key = keys.pop();
+  let parent = object;
+  for(const k of keys) {
+    parent = parent[k] = parent[k] ?? {};
+  }
+  return {parent, key};
+}
+
+function _getExpirationMeta({expires}) {
+  // `purgeAt` must be a `Date` for use with a TTL index
+  const {gracePeriod} = config[NAMESPACE].expiration;
+  return {expires, purgeAt: new Date(expires + gracePeriod)};
+}
+
+function _createCursor({sortBy, id, created}) {
+  const value = sortBy === 'id' ? {id} : {created, id};
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function _parseCursor({cursor, sortBy}) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch(e) {}
+  if(!(value && typeof value.id === 'string' &&
+    (sortBy === 'id' || typeof value.created === 'number'))) {
+    throw new BedrockError('Invalid cursor.', {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+  }
+  return value;
+}
+
+function _validateFilter({filter}) {
+  if(!VALIDATE_FILTER) {
+    VALIDATE_FILTER = compile({schema: clientFilterSchema});
+  }
+  const result = VALIDATE_FILTER(filter);
+  if(!result.valid) {
+    throw result.error;
+  }
+}
+
+// operations other than those of a `StorageBackend` are only supported by
+// the MongoDB backend
+function _assertMongoDB({operation}) {
+  if(!storage.isMongoDB()) {
+    throw new TypeError(
+      `${operation} requires the "mongodb" storage backend.`);
+  }
+}
+
+function _createRawQuery({filter, raw, query, options}) {
+  if(!raw && (query !== undefined || options !== undefined)) {
+    throw new TypeError(
+      '"query" and "options" are only allowed if "raw" is true.');
+  }
+  _assertMongoDB({operation: 'A raw query or "explain"'});
+
+  const filterQuery = mongodbStorage.createQuery({filter});
+  if(!raw) {
+    return {query: filterQuery, options: {projection: {_id: 0}}};
+  }
+  options = options ?? {};
+  if(query === undefined) {
+    return {query: filterQuery, options};
+  }
+  if(Object.keys(filterQuery).length === 0) {
+    return {query, options};
+  }
+  return {query: {$and: [query, filterQuery]}, options};
+}
+
+async function _setStatus({id, operation, from, update, actor, reason}) {
+  _assertMongoDB({operation: `"${operation}()"`});
+  const oldRecord = await _getRecord({id});
+  const status = getStatus({record: oldRecord});
+  if(operation === 'reactivate' && status === 'active') {
+    return oldRecord;
+  }
+  if(!from.includes(status)) {
+    throw new BedrockError(
+      `Could not ${operation} client; its status is "${status}".`, {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true,
+          status
+        }
+      });
+  }
+
+  const {sequence} = oldRecord.client;
+  update = {...update, $inc: {'client.sequence': 1}};
+  const change = {
+    type: 'update', operation, id, sequence: sequence + 1, oldRecord,
+    newRecord: _applyUpdate({record: oldRecord, update})
+  };
+  await events.emitBeforeChange(change);
+
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOneAndUpdate(
+    {'client.id': id, 'client.sequence': sequence}, update, {
+      projection: {_id: 0},
+      returnDocument: 'after'
+    });
+  if(!record) {
+    throw new BedrockError(
+      `Could not ${operation} client record. ` +
+      'Sequence does not match existing record.', {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true,
+          expected: sequence
+        }
+      });
+  }
+
+  cache.invalidate({key: id});
+  await history.insert({client: record.client, actor, reason});
+  await events.emitAfterChange({...change, newRecord: record});
+  return record;
+}
+
+function _assertClients({clients}) {
+  assert.arrayOfObject(clients, 'clients');
+  for(const [index, client] of clients.entries()) {
+    assert.string(client.id, `clients[${index}].id`);
+  }
+}
+
+async function _insert({client, actor, reason, expires, managed = false}) {
+  const record = _createInsertRecord({
+    client, expires, managed, now: Date.now()
+  });
+  const change = {
+    type: 'insert', operation: 'insert', id: client.id, sequence: 0,
+    newRecord: record
+  };
+  await events.emitBeforeChange(change);
+
+  if(!await storage.getBackend().insert({record})) {
+    throw _createDuplicateError();
+  }
+
+  // clear any cached not found result
+  cache.invalidate({key: client.id});
+  await history.insert({client, actor, reason, initial: true});
+  await events.emitAfterChange(change);
+  return record;
+}
+
+function _createInsertRecord({client, expires, managed = false, now}) {
+  assert.number(client.sequence, 'client.sequence');
+  if(client.sequence !== 0) {
+    throw new BedrockError(
+      'Could not insert client record. Initial "sequence" must be "0".', {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true
+        }
+      });
+  }
+  _validateClient({client});
+
+  const meta = {
+    created: now, updated: now, status: 'active',
+    schemaVersion: migrations.getLatestVersion()
+  };
+  if(expires !== undefined) {
+    Object.assign(meta, _getExpirationMeta({expires}));
+  }
+  if(managed) {
+    // managed by `seed()`
+    meta.managed = true;
+  }
+  return {client, meta};
+}
+
+function _createDuplicateError({cause} = {}) {
+  return new BedrockError('Duplicate client record.', {
+    name: 'DuplicateError',
+    details: {
+      public: true,
+      httpStatusCode: 409
+    },
+    cause
+  });
+}
+
+function _createUpdateConflictError({expected}) {
+  return new BedrockError(
+    'Could not update client record. ' +
+    'Sequence does not match existing record.', {
+      name: 'InvalidStateError',
+      details: {
+        httpStatusCode: 409,
+        public: true,
+        expected
+      }
+    });
+}
+
+// performs the bulk write for `insertMany()` or `updateMany()` and sets the
+// results of the `pending` clients
+async function _completeBulkWrite({
+  pending, results, ordered, status, actor, reason
+}) {
+  const items = status === 'updated' ?
+    await _writeUpdates({pending, results, ordered}) :
+    await _writeInserts({pending, results, ordered});
+
+  for(const {index, change, written} of items) {
+    if(!written) {
+      continue;
+    }
+    cache.invalidate({key: change.id});
+    const {client} = change.newRecord;
+    await history.insert({
+      client, actor, reason, initial: status === 'inserted'
+    });
+    await events.emitAfterChange(change);
+    results[index] = {id: change.id, status};
+  }
+  return results;
+}
+
+async function _writeInserts({pending, results, ordered}) {
+  const writeErrors = new Map();
+  if(pending.length > 0) {
+    const collection = database.collections[COLLECTION_NAME];
+    try {
+      await collection.bulkWrite(
+        pending.map(({operation}) => operation), {ordered});
+    } catch(e) {
+      if(!e.writeErrors) {
+        throw e;
+      }
+      for(const writeError of [].concat(e.writeErrors)) {
+        writeErrors.set(writeError.index, writeError);
+      }
+    }
+  }
+
+  const items = pending.map(item => ({...item, written: true}));
+  if(writeErrors.size > 0) {
+    const firstError = Math.min(...writeErrors.keys());
+    for(const [i, item] of items.entries()) {
+      const writeError = writeErrors.get(i);
+      if(writeError) {
+        item.written = false;
+        const error = database.isDuplicateError(writeError) ?
+          _createDuplicateError({cause: writeError}) : writeError;
+        results[item.index] = {id: item.change.id, status: 'failed', error};
+      } else if(ordered && i > firstError) {
+        // an ordered bulk write stops at the first error
+        item.written = false;
+      }
+    }
+  }
+  return items;
+}
+
+// updates are written one at a time because a bulk write only reports how
+// many updates matched in total, not which ones did, and an ordered bulk
+// write does not stop when an update does not match
+async function _writeUpdates({pending, results, ordered}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const items = pending.map(item => ({...item, written: false}));
+  for(const item of items) {
+    const {updateOne: {filter, update}} = item.operation;
+    const {matchedCount} = await collection.updateOne(filter, update);
+    if(matchedCount === 0) {
+      const {id, sequence} = item.change;
+      results[item.index] = {
+        id, status: 'failed',
+        error: _createUpdateConflictError({expected: sequence - 1})
+      };
+      if(ordered) {
+        break;
+      }
+      continue;
+    }
+    item.written = true;
+  }
+  return items;
+}
+
+async function _findRecord({id}) {
+  return storage.getBackend().get({id});
+}
+
+async function _getRecord({id, explain = false} = {}) {
+  const query = {'client.id': id};
+  const collection = database.collections[COLLECTION_NAME];
+  const projection = {_id: 0};
+
+  if(explain) {
+    _assertMongoDB({operation: '"explain"'});
+    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const record = await storage.getBackend().get({id});
+  if(!record) {
+    const details = {
+      httpStatusCode: 404,
+      public: true
+    };
+    throw new BedrockError('Client record not found.', {
+      name: 'NotFoundError',
+      details
+    });
+  }
+  return record;
+}
+
+async function _getOAuth2ClientFromDatabase({clientId} = {}) {
+  // a revoked client results in a `NotAllowedError` which is not a reason
+  // to fall back to another source
+  const {client} = await get({id: clientId});
+  // use the active secret hash that matches the presented secret, if any, so
+  // that previous secrets work during a secret rotation grace period
+  const credentials = CLIENT_CREDENTIALS.getStore();
+  if(credentials?.clientId === clientId) {
+    const secretHash = hashSecret({secret: credentials.secret});
+    if(getActiveSecretHashes({client}).includes(secretHash)) {
+      return {...client, secretHash};
+    }
+  }
+  return client;
+}
+
+async function _getForModification({id, sequence}) {
+  const record = await get({
+    id, useCache: false,
+    includeRevoked: true, includeExpired: true, includeSuspended: true
+  });
+  if(record.client.sequence !== sequence) {
+    throw new BedrockError(
+      'Could not update client record. ' +
+      'Sequence does not match existing record.', {
+        name: 'InvalidStateError',
+        details: {
+          httpStatusCode: 409,
+          public: true,
+          expected: sequence
+        }
+      });
+  }
+  return record;
+}
+
+function _parseBasicCredentials({req}) {
+  const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+  if(scheme?.toLowerCase() !== 'basic' || !token) {
+    return;
+  }
+  const decoded = Buffer.from(token, 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+  if(index === -1) {
+    return;
+  }
+  return {
+    clientId: decoded.slice(0, index),
+    secret: decoded.slice(index + 1)
+  };
+}
+
+function _getSecrets({client}) {
+  if(Array.isArray(client.secrets)) {
+    return client.secrets.slice();
+  }
+  // client record predates secret rotation, use its single `secretHash` with
+  // the client ID as the secret ID
+  if(typeof client.secretHash === 'string') {
+    return [{id: client.id, secretHash: client.secretHash, created: 0}];
+  }
+  return [];
+}
+
+function _isActiveSecret({now}) {
+  return ({expires}) => expires === undefined || expires > now;
+}
+
+function _validateImportedMeta({meta}) {
+  if(!VALIDATE_IMPORTED_META) {
+    VALIDATE_IMPORTED_META = compile({schema: importedClientMetaSchema});
+  }
+  const result = VALIDATE_IMPORTED_META(meta);
+  if(!result.valid) {
+    throw result.error;
+  }
+}
+
+function _validateClient({client}) {
+  if(!VALIDATE_CLIENT) {
+    // add any application-specific client properties from config
+    const {properties} = config[NAMESPACE].schemas.client;
+    const schema = {
+      ...clientSchema,
+      properties: {...clientSchema.properties, ...properties}
+    };
+    VALIDATE_CLIENT = compile({schema});
+  }
+  const result = VALIDATE_CLIENT(client);
+  if(!result.valid) {
+    throw result.error;
+  }
+}
+
+/**
+ * A client filter; all given fields must match.
+ *
+ * @typedef {object} ClientFilter
+ * @property {string} [audience] - The client's `audience`.
+ * @property {string} [scope] - A scope in the client's `allowedScopes`.
+ * @property {string} [scopePrefix] - A prefix of a scope in the client's
+ *   `allowedScopes`.
+ * @property {string} [status] - The client's status: `active`,
+ *   `suspended` or `disabled`.
+ * @property {number} [createdBefore] - A time (in ms since the epoch)
+ *   before which the client record was created.
+ * @property {number} [createdAfter] - A time (in ms since the epoch) after
+ *   which the client record was created.
+ * @property {string} [idPrefix] - A prefix of the client's `id`.
+ */
+
 /**
  * An object containing information on the query plan.
  *
@@ -4,4 +4,111 @@
 import {config} from '@bedrock/core';
 import {NAMESPACE} from './constants.js';
 
-config[NAMESPACE] = {};
+const cfg = config[NAMESPACE] = {};
+
+cfg.caches = {
+  client: {
+    // set to `true` to cache client records in-process to avoid database
+    // lookups on every token request
+    enabled: false,
+    max: 1000,
+    // time (in ms) to cache a client record
+    ttl: 5 * 60 * 1000,
+    // time (in ms) to cache that a client record was not found
+    notFoundTtl: 1000,
+    watch: {
+      // set to `true` to invalidate cached client records changed by other
+      // processes; uses MongoDB change streams if supported, otherwise polls
+      // for changed records (which cannot detect removed records)
+      enabled: false,
+      // time (in ms) between polls when change streams are not supported
+      pollInterval: 5000,
+      // time (in ms) to wait before resuming an interrupted change stream
+      retryInterval: 1000
+    }
+  }
+};
+
+cfg.expiration = {
+  // time (in ms) after a client expires before its record is purged from
+  // the database; applies to expiration times set after any change
+  gracePeriod: 30 * 24 * 60 * 60 * 1000
+};
+
+cfg.migrations = {
+  // set to `false` to not migrate stored client records to the latest
+  // schema version at startup; records are still migrated when read
+  runOnStartup: true,
+  // time (in ms) after which the migration lock held by a process that
+  // failed to release it expires
+  lockTtl: 10 * 60 * 1000
+};
+
+cfg.rateLimits = {
+  // default limits for clients, overridden by a client's own `rateLimits`,
+  // e.g., `{tokensPerMinute: 60, tokensPerDay: 10000}`; see
+  // `clients.checkAndConsume()`
+  defaults: {},
+  // `fixed` or `sliding`; may be overridden by a client's `rateLimits`
+  window: 'fixed'
+};
+
+cfg.routes = {
+  // set to `true` to add HTTP routes for managing clients; the routes are
+  // protected by `middleware.authorizeRequest()` from
+  // `@bedrock/basic-authz-server`, which requires a scope derived from the
+  // request method and path, so admin clients must be granted the scopes
+  // `read:<basePath>` and `write:<basePath>`
+  enabled: false,
+  basePath: '/authz/clients',
+  // additional admin scopes that OAuth2 access tokens must include to read
+  // (`GET`) or write (all other methods) via the routes, e.g.,
+  // `{read: 'read:clients', write: 'admin:clients'}`; `null` requires no
+  // additional scope; when set, requests authorized via zcaps are rejected
+  scopes: {
+    read: null,
+    write: null
+  }
+};
+
+cfg.seed = {
+  // clients to insert or update at startup, keyed by an arbitrary name; each
+  // client must have an `id` but no `sequence`, which is managed internally
+  clients: {},
+  // set to `true` to revoke previously seeded clients that have been removed
+  // from `clients`
+  prune: false
+};
+
+cfg.schemas = {
+  client: {
+    // additional JSON schema `properties` to allow in client records, used to
+    // store application-specific client fields
+    properties: {}
+  }
+};
+
+cfg.storage = {
+  // the storage backend for client records: `mongodb` or `memory` (or one
+  // added via `storage.registerBackend()`); a backend other than `mongodb`
+  // only supports getting, inserting, updating, finding and counting clients
+  // (and operations built on these, such as `create()` and `modify()`),
+  // other operations throw a `TypeError`; client history is not recorded and
+  // no MongoDB collections are set up; note that `@bedrock/mongodb` is still
+  // loaded, so a MongoDB server is still required at startup
+  backend: 'mongodb'
+};
+
+cfg.usage = {
+  // minimum time (in ms) between writes of a client's usage to the
+  // database, see `clients.recordUsage()`
+  throttleInterval: 60 * 1000,
+  // maximum number of clients to accumulate unwritten usage for
+  maxClients: 10000
+};
+
+cfg.secrets = {
+  // default time (in ms) that a previous client secret remains valid after
+  // a new secret has been added via `rotateSecret()`
+  rotationGracePeriod: 24 * 60 * 60 * 1000
+};
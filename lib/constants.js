@@ -2,3 +2,5 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 export const NAMESPACE = 'basic-authz-server-storage';
+
+export const CLIENT_COLLECTION_NAME = 'basic-authz-server-storage-client';
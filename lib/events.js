@@ -0,0 +1,88 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+import {NAMESPACE} from './constants.js';
+import {redactSecrets} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// emitted before a change is written; listeners may veto the change by
+// throwing an error or returning `false`
+const BEFORE_EVENTS = {
+  insert: `${NAMESPACE}.client.inserting`,
+  update: `${NAMESPACE}.client.updating`,
+  remove: `${NAMESPACE}.client.removing`
+};
+
+// emitted after a change has been written
+const AFTER_EVENTS = {
+  insert: `${NAMESPACE}.client.inserted`,
+  update: `${NAMESPACE}.client.updated`,
+  remove: `${NAMESPACE}.client.removed`
+};
+
+/**
+ * Emits the event for a client record change that is about to be written.
+ * Listeners receive an object with the `operation` (e.g., `insert`,
+ * `update`, `revoke`), the client `id`, the resulting `sequence`, and the
+ * `oldRecord` and `newRecord` (with secrets redacted), where known.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The type of change: `insert`, `update` or
+ *   `remove`.
+ * @param {string} options.operation - The operation making the change.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} [options.sequence] - The resulting `sequence`.
+ * @param {object} [options.oldRecord] - The existing client record.
+ * @param {object} [options.newRecord] - The client record to be written.
+ *
+ * @returns {Promise} Resolves once all listeners have allowed the change.
+ */
+export async function emitBeforeChange({type, ...change} = {}) {
+  const event = BEFORE_EVENTS[type];
+  const result = await bedrock.events.emit(event, _createEventData(change));
+  if(result === false) {
+    throw new BedrockError('Client record change not allowed.', {
+      name: 'NotAllowedError',
+      details: {
+        httpStatusCode: 403,
+        public: true,
+        operation: change.operation
+      }
+    });
+  }
+}
+
+/**
+ * Emits the event for a client record change that has been written. Errors
+ * thrown by listeners are logged and not propagated because the change has
+ * already been made.
+ *
+ * @param {object} options - The options to use; see `emitBeforeChange()`.
+ * @param {string} options.type - The type of change: `insert`, `update` or
+ *   `remove`.
+ *
+ * @returns {Promise} Resolves once all listeners have been called.
+ */
+export async function emitAfterChange({type, ...change} = {}) {
+  const event = AFTER_EVENTS[type];
+  try {
+    await bedrock.events.emit(event, _createEventData(change));
+  } catch(error) {
+    logger.error(`Error in "${event}" event listener.`, {error});
+  }
+}
+
+function _createEventData({operation, id, sequence, oldRecord, newRecord}) {
+  return {
+    operation,
+    id,
+    sequence,
+    oldRecord: oldRecord && structuredClone(
+      redactSecrets({record: oldRecord})),
+    newRecord: newRecord && structuredClone(
+      redactSecrets({record: newRecord}))
+  };
+}
@@ -0,0 +1,67 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import crypto from 'node:crypto';
+
+/**
+ * Creates a copy of a client record without any secret hashes.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.record - The client record.
+ *
+ * @returns {object} The redacted client record.
+ */
+export function redactSecrets({record} = {}) {
+  const {client, ...rest} = record;
+  const redacted = {...client};
+  delete redacted.secretHash;
+  if(Array.isArray(client.secrets)) {
+    redacted.secrets = client.secrets.map(secret => {
+      secret = {...secret};
+      delete secret.secretHash;
+      return secret;
+    });
+  }
+  return {...rest, client: redacted};
+}
+
+/**
+ * Generates a new random client secret.
+ *
+ * @returns {string} The base64url-encoded client secret.
+ */
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Gets the status of a client record. A suspended client whose suspension
+ * has an `until` time that has passed is active.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.record - The client record.
+ * @param {number} [options.now=Date.now()] - The current time.
+ *
+ * @returns {string} The status: `active`, `suspended` or `disabled`.
+ */
+export function getStatus({record, now = Date.now()} = {}) {
+  // records without a status predate statuses and are active
+  const {status = 'active', suspended} = record.meta;
+  if(status === 'suspended' && suspended?.until <= now) {
+    return 'active';
+  }
+  return status;
+}
+
+/**
+ * Hashes a client secret in the format expected by
+ * `@bedrock/basic-authz-server` for a client's `secretHash`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.secret - The client secret.
+ *
+ * @returns {string} The base64url-encoded SHA-256 hash of the secret.
+ */
+export function hashSecret({secret} = {}) {
+  return crypto.createHash('sha256').update(secret).digest('base64url');
+}
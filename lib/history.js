@@ -0,0 +1,191 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as storage from './storage/index.js';
+import assert from 'assert-plus';
+import {isDeepStrictEqual} from 'node:util';
+
+const {util: {BedrockError}} = bedrock;
+
+// exported to enable business-rule-specific indexes and other capabilities
+export const COLLECTION_NAME = 'basic-authz-server-storage-client-history';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  // only used with the MongoDB storage backend
+  if(!storage.isMongoDB()) {
+    return;
+  }
+
+  await database.openCollections([COLLECTION_NAME]);
+
+  const indexes = [{
+    collection: COLLECTION_NAME,
+    fields: {'client.id': 1, 'client.sequence': 1},
+    options: {unique: true}
+  }];
+
+  await database.createIndexes(indexes);
+});
+
+/**
+ * Retrieves a snapshot of a client at a particular `sequence`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {number} options.sequence - The `sequence` of the client snapshot.
+ * @param {boolean} [options.explain=false] - Set to true to return database
+ *   query explain information instead of executing database queries.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the snapshot
+ *   record or an ExplainObject if `explain=true`.
+ */
+export async function get({id, sequence, explain = false} = {}) {
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+
+  const query = {'client.id': id, 'client.sequence': sequence};
+  const collection = database.collections[COLLECTION_NAME];
+  const projection = {_id: 0};
+
+  if(explain) {
+    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+    // cursor which allows the use of the explain function.
+    const cursor = await collection.find(query, {projection}).limit(1);
+    return cursor.explain('executionStats');
+  }
+
+  const record = await collection.findOne(query, {projection});
+  if(!record) {
+    throw new BedrockError('Client snapshot not found.', {
+      name: 'NotFoundError',
+      details: {
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+  return record;
+}
+
+/**
+ * Retrieves all snapshots of a client, ordered by `sequence`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the client.
+ * @param {boolean} [options.explain=false] - Set to true to return database
+ *   query explain information instead of executing database queries.
+ *
+ * @returns {Promise<Array | ExplainObject>} Resolves with the snapshot
+ *   records or an ExplainObject if `explain=true`.
+ */
+export async function getAll({id, explain = false} = {}) {
+  assert.string(id, 'id');
+
+  const query = {'client.id': id};
+  const collection = database.collections[COLLECTION_NAME];
+  const options = {projection: {_id: 0}, sort: {'client.sequence': 1}};
+
+  if(explain) {
+    const cursor = await collection.find(query, options);
+    return cursor.explain('executionStats');
+  }
+
+  return collection.find(query, options).toArray();
+}
+
+/**
+ * Inserts an immutable snapshot of a client. Inserting the same snapshot
+ * more than once is a no-op, as is inserting a snapshot when a storage
+ * backend other than `mongodb` is used. Inserting a different snapshot for
+ * the same client `id` and `sequence` results in a `DuplicateError`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.client - The client to snapshot.
+ * @param {string} [options.actor] - An optional identifier for who made the
+ *   change that produced the snapshot.
+ * @param {string} [options.reason] - An optional reason for the change.
+ * @param {boolean} [options.initial=false] - Set to true for the first
+ *   snapshot of a newly stored client record; any snapshots of a previous
+ *   (removed or purged) client record with the same `id` are removed first.
+ *
+ * @returns {Promise<object>} Resolves with the snapshot record.
+ */
+export async function insert({client, actor, reason, initial = false} = {}) {
+  assert.object(client, 'client');
+  assert.string(client.id, 'client.id');
+  assert.number(client.sequence, 'client.sequence');
+  assert.optionalString(actor, 'actor');
+  assert.optionalString(reason, 'reason');
+  assert.bool(initial, 'initial');
+
+  const meta = {created: Date.now()};
+  if(actor !== undefined) {
+    meta.actor = actor;
+  }
+  if(reason !== undefined) {
+    meta.reason = reason;
+  }
+  const record = {client, meta};
+
+  // history is only recorded when using the MongoDB storage backend
+  if(!storage.isMongoDB()) {
+    return record;
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  if(initial) {
+    await collection.deleteMany({'client.id': client.id});
+  }
+  try {
+    await collection.insertOne({...record});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // the same snapshot has already been written (e.g., a retried operation)
+    const existing = await collection.findOne({
+      'client.id': client.id, 'client.sequence': client.sequence
+    }, {projection: {_id: 0}});
+    if(!isDeepStrictEqual(existing?.client, client)) {
+      throw new BedrockError(
+        'Could not insert client snapshot. ' +
+        'A different snapshot with the same sequence exists.', {
+          name: 'DuplicateError',
+          details: {
+            httpStatusCode: 409,
+            public: true
+          },
+          cause: e
+        });
+    }
+  }
+  return record;
+}
+
+/**
+ * Removes all snapshots of a client, e.g., once its record has been removed.
+ * This is a no-op when a storage backend other than `mongodb` is used.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the client.
+ *
+ * @returns {Promise} Resolves once the snapshots have been removed.
+ */
+export async function removeAll({id} = {}) {
+  assert.string(id, 'id');
+
+  if(!storage.isMongoDB()) {
+    return;
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.deleteMany({'client.id': id});
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as clients from './clients.js';
+import {
+  createClientBody, listClientsQuery, revokeClientBody, updateClientBody
+} from '../schemas/bedrock-basic-authz-server-storage.js';
+import {asyncHandler} from '@bedrock/express';
+import {middleware} from '@bedrock/basic-authz-server';
+import {NAMESPACE} from './constants.js';
+import {redactSecrets} from './helpers.js';
+import {createValidateMiddleware as validate} from '@bedrock/validation';
+
+const {config, util: {BedrockError}} = bedrock;
+
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  const cfg = config[NAMESPACE].routes;
+  if(!cfg.enabled) {
+    return;
+  }
+
+  const {basePath} = cfg;
+  const routes = {
+    clients: basePath,
+    client: `${basePath}/:clientId`,
+    revoke: `${basePath}/:clientId/revoke`
+  };
+
+  // all routes require OAuth2 (or zcap) authorization for the route path and,
+  // if configured, an additional admin scope
+  const authorizeRequest = middleware.authorizeRequest();
+  const authorize = [authorizeRequest, _checkAdminScope];
+
+  // add any application-specific client properties from config
+  const {properties} = config[NAMESPACE].schemas.client;
+  const createBodySchema = _addProperties({
+    schema: createClientBody, properties
+  });
+  const updateBodySchema = _addProperties({
+    schema: updateClientBody, properties
+  });
+
+  // create a new client
+  app.post(
+    routes.clients,
+    authorize,
+    validate({bodySchema: createBodySchema}),
+    asyncHandler(async (req, res) => {
+      const client = {...req.body, sequence: 0};
+      const record = await clients.insert({client});
+      const location = `${config.server.baseUri}${basePath}/` +
+        encodeURIComponent(client.id);
+      res.status(201).location(location).json(redactSecrets({record}));
+    }));
+
+  // list clients a page at a time, optionally filtered by `audience`
+  app.get(
+    routes.clients,
+    authorize,
+    validate({querySchema: listClientsQuery}),
+    asyncHandler(async (req, res) => {
+      const {audience, cursor, limit} = req.query;
+      const filter = {};
+      if(audience !== undefined) {
+        filter.audience = audience;
+      }
+      const result = await clients.findPage({
+        filter, cursor, limit: limit === undefined ? undefined : Number(limit)
+      });
+      res.json({
+        results: result.records.map(record => redactSecrets({record})),
+        cursor: result.cursor
+      });
+    }));
+
+  // get a client
+  app.get(
+    routes.client,
+    authorize,
+    asyncHandler(async (req, res) => {
+      const record = await _getRecord({id: req.params.clientId});
+      res.json(redactSecrets({record}));
+    }));
+
+  // update a client; secrets are preserved and cannot be changed here
+  app.post(
+    routes.client,
+    authorize,
+    validate({bodySchema: updateBodySchema}),
+    asyncHandler(async (req, res) => {
+      const {clientId: id} = req.params;
+      if(req.body.id !== id) {
+        throw new BedrockError(
+          'Client "id" does not match route parameter.', {
+            name: 'DataError',
+            details: {
+              httpStatusCode: 400,
+              public: true
+            }
+          });
+      }
+      // the body has been validated on its own, so any validation errors do
+      // not include the existing secrets
+      const {client: existing} = await _getRecord({id});
+      const client = {...req.body};
+      for(const key of ['secretHash', 'secrets']) {
+        if(existing[key] !== undefined) {
+          client[key] = existing[key];
+        }
+      }
+      await clients.update({client});
+      const record = await _getRecord({id});
+      res.json(redactSecrets({record}));
+    }));
+
+  // revoke a client
+  app.post(
+    routes.revoke,
+    authorize,
+    validate({bodySchema: revokeClientBody}),
+    asyncHandler(async (req, res) => {
+      const {clientId: id} = req.params;
+      const {sequence, reason} = req.body;
+      await clients.revoke({id, sequence, reason});
+      const record = await _getRecord({id});
+      res.json(redactSecrets({record}));
+    }));
+});
+
+// requires the OAuth2 access token (already verified by `authorizeRequest()`)
+// to include the admin scope configured for the route's action, if any
+function _checkAdminScope(req, res, next) {
+  const {scopes} = config[NAMESPACE].routes;
+  const action = req.method === 'GET' ? 'read' : 'write';
+  const requiredScope = scopes?.[action];
+  if(!requiredScope) {
+    return next();
+  }
+  const scope = _getAccessTokenScope({req});
+  if(!scope?.split(' ').includes(requiredScope)) {
+    return next(new BedrockError(
+      'Access token validation failed.', {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 403,
+          public: true,
+          reason: `Access token scope must include "${requiredScope}".`
+        }
+      }));
+  }
+  next();
+}
+
+function _getAccessTokenScope({req}) {
+  const jwt = req.get('authorization')?.match(/^Bearer (.+)$/i)?.[1];
+  const [, payload] = jwt?.split('.') ?? [];
+  if(!payload) {
+    return;
+  }
+  try {
+    const {scope} = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return typeof scope === 'string' ? scope : undefined;
+  } catch(e) {
+    return;
+  }
+}
+
+function _addProperties({schema, properties}) {
+  return {...schema, properties: {...schema.properties, ...properties}};
+}
+
+// gets a client record regardless of its state for management purposes
+async function _getRecord({id}) {
+  return clients.get({
+    id, useCache: false,
+    includeRevoked: true, includeExpired: true, includeSuspended: true
+  });
+}
@@ -2,9 +2,19 @@
  * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as clients from './clients.js';
+import * as history from './history.js';
+import * as migrations from './migrations.js';
+import * as rateLimits from './rateLimits.js';
+import * as storage from './storage/index.js';
 
 // load config defaults
 import './config.js';
 
+// add HTTP routes (if enabled)
+import './http.js';
+
+// add command line commands
+import './cli.js';
+
 // export APIs
-export {clients};
+export {clients, history, migrations, rateLimits, storage};
@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {loggers} from '@bedrock/core';
+
+export const logger = loggers.get('app').child(
+  'bedrock-basic-authz-server-storage');
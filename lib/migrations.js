@@ -0,0 +1,213 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import crypto from 'node:crypto';
+import {logger} from './logger.js';
+import {NAMESPACE} from './constants.js';
+
+const {config} = bedrock;
+
+// exported to enable business-rule-specific indexes and other capabilities
+export const LOCK_COLLECTION_NAME = 'basic-authz-server-storage-migration-lock';
+
+const LOCK_ID = 'migrations';
+
+// registered migrations, ordered by `version`
+const MIGRATIONS = [];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  // only used with the MongoDB storage backend; the backend is checked via
+  // config because the storage module depends on this one
+  if(config[NAMESPACE].storage.backend !== 'mongodb') {
+    return;
+  }
+
+  await database.openCollections([LOCK_COLLECTION_NAME]);
+
+  const indexes = [{
+    collection: LOCK_COLLECTION_NAME,
+    fields: {id: 1},
+    options: {unique: true}
+  }];
+
+  await database.createIndexes(indexes);
+});
+
+/**
+ * Registers a migration of stored client records to a new schema version.
+ * Migrations run in `version` order, at startup for all records with an
+ * older `meta.schemaVersion` and whenever such a record is read. Migrations
+ * must be registered before `bedrock-mongodb.ready`.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.version - The schema version (a positive integer)
+ *   that records have after the migration.
+ * @param {string} options.description - A description of the migration.
+ * @param {Function} options.migrate - A function that is passed `{record}`,
+ *   a copy of a client record in the previous schema version, and returns
+ *   (or resolves to) the migrated record.
+ */
+export function register({version, description, migrate} = {}) {
+  assert.number(version, 'version');
+  assert.string(description, 'description');
+  assert.func(migrate, 'migrate');
+  if(!(Number.isInteger(version) && version > 0)) {
+    throw new TypeError('"version" must be a positive integer.');
+  }
+  if(MIGRATIONS.some(m => m.version === version)) {
+    throw new Error(`Migration version "${version}" already registered.`);
+  }
+  MIGRATIONS.push({version, description, migrate});
+  MIGRATIONS.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Gets the latest schema version, i.e., the version that new records are
+ * stamped with.
+ *
+ * @returns {number} The latest schema version (`0` if there are no
+ *   migrations).
+ */
+export function getLatestVersion() {
+  return MIGRATIONS.at(-1)?.version ?? 0;
+}
+
+/**
+ * Runs all migrations on the records in the given collection that need them.
+ * Only one process runs migrations at a time; if another process holds the
+ * migration lock, no migrations are run (records are still migrated when
+ * read).
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.collection - The client collection.
+ * @param {boolean} [options.dryRun=false] - Set to true to only count the
+ *   records each migration would change.
+ *
+ * @returns {Promise<object>} Resolves with `{locked, results}` where
+ *   `locked` is true if another process holds the migration lock and
+ *   `results` has the `version`, `description` and record `count` of each
+ *   migration.
+ */
+export async function run({collection, dryRun = false} = {}) {
+  if(dryRun) {
+    const results = [];
+    for(const {version, description} of MIGRATIONS) {
+      const count = await collection.countDocuments(_getQuery({version}));
+      results.push({version, description, count});
+    }
+    return {locked: false, results};
+  }
+
+  const owner = await _acquireLock();
+  if(!owner) {
+    return {locked: true, results: []};
+  }
+  try {
+    const results = [];
+    for(const migration of MIGRATIONS) {
+      const {version, description} = migration;
+      let count = 0;
+      const cursor = collection.find(
+        _getQuery({version}), {projection: {_id: 0}});
+      for await (const record of cursor) {
+        if(await _write({collection, record, migrations: [migration]})) {
+          count++;
+        }
+      }
+      if(count > 0) {
+        logger.info(
+          `Migrated ${count} client record(s) to schema version ${version}.`);
+      }
+      results.push({version, description, count});
+    }
+    return {locked: false, results};
+  } finally {
+    await _releaseLock({owner});
+  }
+}
+
+/**
+ * Migrates a client record to the latest schema version, if necessary, and
+ * writes the migrated record.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.collection - The client collection.
+ * @param {object} options.record - The client record.
+ *
+ * @returns {Promise<object>} Resolves with the (migrated) record.
+ */
+export async function upgrade({collection, record} = {}) {
+  const version = record.meta.schemaVersion ?? 0;
+  const migrations = MIGRATIONS.filter(m => m.version > version);
+  if(migrations.length === 0) {
+    return record;
+  }
+  const migrated = await _migrate({record, migrations});
+  await _write({collection, record, migrated});
+  return migrated;
+}
+
+async function _migrate({record, migrations}) {
+  let migrated = structuredClone(record);
+  for(const {version, migrate} of migrations) {
+    migrated = await migrate({record: migrated});
+    migrated.meta.schemaVersion = version;
+  }
+  return migrated;
+}
+
+// writes a migrated record unless it has been changed concurrently
+async function _write({collection, record, migrations, migrated}) {
+  migrated = migrated ?? await _migrate({record, migrations});
+  const result = await collection.replaceOne({
+    'client.id': record.client.id,
+    'client.sequence': record.client.sequence,
+    'meta.schemaVersion': record.meta.schemaVersion ?? null
+  }, migrated);
+  return result.modifiedCount > 0;
+}
+
+function _getQuery({version}) {
+  // matches records without a `schemaVersion` as well
+  return {'meta.schemaVersion': {$not: {$gte: version}}};
+}
+
+async function _acquireLock() {
+  const collection = database.collections[LOCK_COLLECTION_NAME];
+  const owner = crypto.randomUUID();
+  const now = Date.now();
+  const {lockTtl} = config[NAMESPACE].migrations;
+  try {
+    await collection.updateOne(
+      {id: LOCK_ID, expires: {$lt: now}},
+      {$set: {owner, expires: now + lockTtl}},
+      {upsert: true});
+    return owner;
+  } catch(e) {
+    // the lock is held by another process
+    if(database.isDuplicateError(e)) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+async function _releaseLock({owner}) {
+  const collection = database.collections[LOCK_COLLECTION_NAME];
+  await collection.deleteOne({id: LOCK_ID, owner});
+}
+
+// add a client status to records that predate client statuses
+register({
+  version: 1,
+  description: 'Add client status.',
+  migrate({record}) {
+    if(record.meta.status === undefined) {
+      record.meta.status = record.meta.revoked ? 'disabled' : 'active';
+    }
+    return record;
+  }
+});
@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as storage from './storage/index.js';
+import assert from 'assert-plus';
+
+// exported to enable business-rule-specific indexes and other capabilities
+export const COLLECTION_NAME = 'basic-authz-server-storage-client-counter';
+
+// the period (in ms) of each supported limit
+export const LIMIT_PERIODS = {
+  tokensPerMinute: 60 * 1000,
+  tokensPerDay: 24 * 60 * 60 * 1000
+};
+
+const WINDOWS = ['fixed', 'sliding'];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  // only used with the MongoDB storage backend
+  if(!storage.isMongoDB()) {
+    return;
+  }
+
+  await database.openCollections([COLLECTION_NAME]);
+
+  const indexes = [{
+    collection: COLLECTION_NAME,
+    fields: {clientId: 1, period: 1, start: 1},
+    options: {unique: true}
+  }, {
+    // automatically purge counters that can no longer affect a limit
+    collection: COLLECTION_NAME,
+    fields: {expires: 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }];
+
+  await database.createIndexes(indexes);
+});
+
+/**
+ * Consumes one unit from each of the given limits for a client, provided
+ * that none of the limits has been reached. Each limit is counted in fixed
+ * windows of its period (e.g., a calendar minute). With `sliding` windows,
+ * the count from the previous window is also included, weighted by how much
+ * of it overlaps a window of the same period that ends now.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.clientId - The ID of the client.
+ * @param {object} options.limits - The limits to apply, keyed by a name
+ *   from `LIMIT_PERIODS` (e.g., `{tokensPerMinute: 10}`).
+ * @param {string} [options.window='fixed'] - `fixed` or `sliding`.
+ *
+ * @returns {Promise<object>} Resolves with an object with `allowed`,
+ *   `remaining` (the lowest remaining allowance of any limit), `reset` (the
+ *   time, in ms, at which that allowance resets) and, if not allowed,
+ *   `retryAfter` (an estimate of the number of seconds to wait, suitable for
+ *   an HTTP `Retry-After` header). If there are no limits, only `allowed`
+ *   is set.
+ */
+export async function consume({clientId, limits, window = 'fixed'} = {}) {
+  assert.string(clientId, 'clientId');
+  assert.object(limits, 'limits');
+  if(!WINDOWS.includes(window)) {
+    throw new TypeError(`"window" must be one of: ${WINDOWS.join(', ')}.`);
+  }
+
+  const now = Date.now();
+  const sliding = window === 'sliding';
+  const consumed = [];
+  let result = {allowed: true};
+  for(const [name, max] of Object.entries(limits)) {
+    const period = LIMIT_PERIODS[name];
+    if(period === undefined) {
+      throw new TypeError(`Unknown rate limit "${name}".`);
+    }
+    assert.number(max, `limits.${name}`);
+
+    const counter = await _consumeOne({clientId, period, max, sliding, now});
+    if(!counter.allowed) {
+      // return units consumed from other limits
+      await Promise.all(consumed.map(_release));
+      return {
+        allowed: false,
+        remaining: 0,
+        reset: counter.reset,
+        retryAfter: Math.ceil((counter.reset - now) / 1000)
+      };
+    }
+    consumed.push(counter);
+    if(result.remaining === undefined ||
+      counter.remaining < result.remaining) {
+      const {remaining, reset} = counter;
+      result = {allowed: true, remaining, reset};
+    }
+  }
+  return result;
+}
+
+async function _consumeOne({clientId, period, max, sliding, now}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const start = now - now % period;
+  const reset = start + period;
+
+  let allowance = max;
+  if(sliding) {
+    const previous = await collection.findOne(
+      {clientId, period, start: start - period},
+      {projection: {_id: 0, count: 1}});
+    if(previous) {
+      const weight = 1 - (now - start) / period;
+      allowance -= Math.ceil(previous.count * weight);
+    }
+  }
+
+  const query = {clientId, period, start};
+  // retry once if another process inserted the counter concurrently
+  for(let attempt = 0; allowance > 0 && attempt < 2; ++attempt) {
+    try {
+      const record = await collection.findOneAndUpdate(
+        {...query, count: {$lt: allowance}}, {
+          $inc: {count: 1},
+          // keep counters long enough to be a previous (sliding) window
+          $setOnInsert: {expires: new Date(start + 2 * period)}
+        }, {
+          projection: {_id: 0, count: 1},
+          returnDocument: 'after',
+          upsert: true
+        });
+      const remaining = allowance - record.count;
+      return {allowed: true, remaining, reset, query};
+    } catch(e) {
+      // a duplicate means the counter exists and has reached its allowance
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+    }
+  }
+  return {allowed: false, reset};
+}
+
+async function _release({query}) {
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne(query, {$inc: {count: -1}});
+}
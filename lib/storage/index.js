@@ -0,0 +1,83 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as memory from './memory.js';
+import * as mongodb from './mongodb.js';
+import {NAMESPACE} from '../constants.js';
+
+const {config} = bedrock;
+
+const BACKENDS = new Map([['memory', memory], ['mongodb', mongodb]]);
+const METHODS = ['get', 'insert', 'update', 'find', 'count'];
+
+export {memory};
+
+/**
+ * Registers a storage backend that can then be selected via
+ * `config['basic-authz-server-storage'].storage.backend`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the backend.
+ * @param {StorageBackend} options.backend - The backend.
+ */
+export function registerBackend({name, backend} = {}) {
+  if(typeof name !== 'string') {
+    throw new TypeError('"name" must be a string.');
+  }
+  for(const method of METHODS) {
+    if(typeof backend?.[method] !== 'function') {
+      throw new TypeError(`"backend.${method}" must be a function.`);
+    }
+  }
+  if(BACKENDS.has(name)) {
+    throw new Error(`Storage backend "${name}" already registered.`);
+  }
+  BACKENDS.set(name, backend);
+}
+
+/**
+ * Gets the storage backend selected via
+ * `config['basic-authz-server-storage'].storage.backend`.
+ *
+ * @returns {StorageBackend} The storage backend.
+ */
+export function getBackend() {
+  const {backend: name} = config[NAMESPACE].storage;
+  const backend = BACKENDS.get(name);
+  if(!backend) {
+    throw new Error(`Unknown storage backend "${name}".`);
+  }
+  return backend;
+}
+
+/**
+ * Returns whether the selected storage backend is the default (MongoDB)
+ * backend, which is required by operations other than those of a
+ * `StorageBackend`.
+ *
+ * @returns {boolean} True if the MongoDB backend is selected.
+ */
+export function isMongoDB() {
+  return getBackend() === mongodb;
+}
+
+/**
+ * A storage backend for client records. Records and clients passed to and
+ * returned from a backend must not be shared with the backend's own state.
+ *
+ * @typedef {object} StorageBackend
+ * @property {Function} get - Given `{id}`, resolves to the client record
+ *   or `null` if not found.
+ * @property {Function} insert - Given `{record}`, inserts the record and
+ *   resolves to `true`, or resolves to `false` if a record with the same
+ *   client ID exists.
+ * @property {Function} update - Given `{client, updated}`, replaces the
+ *   client of the record whose client has the same ID and a `sequence` one
+ *   less than `client.sequence`, sets its `meta.updated` to `updated` and
+ *   resolves to `true`; resolves to `false` if there is no such record.
+ * @property {Function} find - Given `{filter, limit}`, resolves to the
+ *   records that match the (validated) `ClientFilter`.
+ * @property {Function} count - Given `{filter}`, resolves to the number of
+ *   records that match the (validated) `ClientFilter`.
+ */
@@ -0,0 +1,78 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getStatus} from '../helpers.js';
+
+// an in-process storage backend for tests and development; see
+// `StorageBackend` in `./index.js`
+
+// client records by client ID
+const RECORDS = new Map();
+
+export async function get({id} = {}) {
+  const record = RECORDS.get(id);
+  return record ? structuredClone(record) : null;
+}
+
+export async function insert({record} = {}) {
+  const {id} = record.client;
+  if(RECORDS.has(id)) {
+    return false;
+  }
+  RECORDS.set(id, structuredClone(record));
+  return true;
+}
+
+export async function update({client, updated} = {}) {
+  const record = RECORDS.get(client.id);
+  if(record?.client.sequence !== client.sequence - 1) {
+    return false;
+  }
+  RECORDS.set(client.id, {
+    client: structuredClone(client),
+    meta: {...record.meta, updated}
+  });
+  return true;
+}
+
+export async function find({filter = {}, limit} = {}) {
+  const now = Date.now();
+  const records = [...RECORDS.values()]
+    .filter(record => _matches({record, filter, now}))
+    .sort((a, b) => a.client.id < b.client.id ? -1 : 1);
+  return structuredClone(records.slice(0, limit));
+}
+
+export async function count({filter = {}} = {}) {
+  const now = Date.now();
+  let total = 0;
+  for(const record of RECORDS.values()) {
+    if(_matches({record, filter, now})) {
+      total++;
+    }
+  }
+  return total;
+}
+
+/**
+ * Removes all client records from memory.
+ */
+export function clear() {
+  RECORDS.clear();
+}
+
+function _matches({record: {client, meta}, filter, now}) {
+  const {
+    audience, scope, scopePrefix, status, createdBefore, createdAfter,
+    idPrefix
+  } = filter;
+  const allowedScopes = client.allowedScopes ?? [];
+  return (audience === undefined || client.audience === audience) &&
+    (scope === undefined || allowedScopes.includes(scope)) &&
+    (scopePrefix === undefined ||
+      allowedScopes.some(s => s.startsWith(scopePrefix))) &&
+    (status === undefined || getStatus({record: {meta}, now}) === status) &&
+    (createdBefore === undefined || meta.created < createdBefore) &&
+    (createdAfter === undefined || meta.created > createdAfter) &&
+    (idPrefix === undefined || client.id.startsWith(idPrefix));
+}
@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import * as migrations from '../migrations.js';
+import {CLIENT_COLLECTION_NAME as COLLECTION_NAME} from '../constants.js';
+
+// the default storage backend; see `StorageBackend` in `./index.js`
+
+export async function get({id} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'client.id': id}, {projection: {_id: 0}});
+  if(!record) {
+    return null;
+  }
+  // migrate records with an older schema version as they are read
+  return migrations.upgrade({collection, record});
+}
+
+export async function insert({record} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.insertOne({...record});
+    return true;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    return false;
+  }
+}
+
+export async function update({client, updated} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.updateOne({
+    'client.id': client.id,
+    'client.sequence': client.sequence - 1
+  }, {
+    $set: {client, 'meta.updated': updated}
+  });
+  return result.modifiedCount > 0;
+}
+
+export async function find({filter = {}, limit} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const options = {projection: {_id: 0}};
+  if(limit !== undefined) {
+    options.limit = limit;
+  }
+  return collection.find(createQuery({filter}), options).toArray();
+}
+
+export async function count({filter = {}} = {}) {
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.countDocuments(createQuery({filter}));
+}
+
+/**
+ * Converts a (validated) client filter to an indexed MongoDB query.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.filter - The client filter.
+ *
+ * @returns {object} The MongoDB query.
+ */
+export function createQuery({filter} = {}) {
+  const {
+    audience, scope, scopePrefix, status, createdBefore, createdAfter,
+    idPrefix
+  } = filter;
+  const query = {};
+  if(audience !== undefined) {
+    query['client.audience'] = audience;
+  }
+  if(scope !== undefined || scopePrefix !== undefined) {
+    // conditions on an array may be met by different elements
+    const scopeQuery = query['client.allowedScopes'] = {};
+    if(scope !== undefined) {
+      scopeQuery.$eq = scope;
+    }
+    if(scopePrefix !== undefined) {
+      scopeQuery.$regex = _createPrefixExpression({prefix: scopePrefix});
+    }
+  }
+  if(createdBefore !== undefined || createdAfter !== undefined) {
+    const created = query['meta.created'] = {};
+    if(createdBefore !== undefined) {
+      created.$lt = createdBefore;
+    }
+    if(createdAfter !== undefined) {
+      created.$gt = createdAfter;
+    }
+  }
+  if(idPrefix !== undefined) {
+    query['client.id'] = {$regex: _createPrefixExpression({prefix: idPrefix})};
+  }
+  if(status === undefined) {
+    return query;
+  }
+  const statusQuery = _createStatusQuery({status});
+  if(Object.keys(query).length === 0) {
+    return statusQuery;
+  }
+  return {$and: [query, statusQuery]};
+}
+
+// an anchored, case-sensitive prefix expression uses an index
+function _createPrefixExpression({prefix}) {
+  return '^' + prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _createStatusQuery({status}) {
+  const now = Date.now();
+  if(status === 'active') {
+    // records without a status predate statuses and are active
+    return {
+      $or: [
+        {'meta.status': {$in: ['active', null]}},
+        {'meta.status': 'suspended', 'meta.suspended.until': {$lte: now}}
+      ]
+    };
+  }
+  if(status === 'suspended') {
+    return {
+      'meta.status': 'suspended',
+      'meta.suspended.until': {$not: {$lte: now}}
+    };
+  }
+  return {'meta.status': 'disabled'};
+}
@@ -0,0 +1,196 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as clients from './clients.js';
+import * as database from '@bedrock/mongodb';
+import * as history from './history.js';
+import * as migrations from './migrations.js';
+import * as rateLimits from './rateLimits.js';
+import * as storage from './storage/index.js';
+import {generateSecret, hashSecret} from './helpers.js';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import {httpClient} from '@digitalbazaar/http-client';
+import {httpsAgent} from '@bedrock/https-agent';
+
+/**
+ * Creates a client with a known secret. The client is not stored.
+ *
+ * @param {object} [options] - Options to use.
+ * @param {string} [options.id] - The ID of the client; defaults to a random
+ *   UUID.
+ * @param {string} [options.secret] - The plaintext secret of the client;
+ *   defaults to a generated secret.
+ * @param {Array<string>} [options.allowedScopes=[]] - The scopes the client
+ *   is allowed to request.
+ * @param {string} [options.audience] - An optional audience for the client.
+ * @param {object} [options.properties={}] - Any other client properties.
+ *
+ * @returns {object} An object with the `client` (with `sequence` set to `0`
+ *   and the `secretHash` of the secret) and its plaintext `secret`.
+ */
+export function createClient({
+  id = crypto.randomUUID(), secret = generateSecret(), allowedScopes = [],
+  audience, properties = {}
+} = {}) {
+  const client = {
+    ...properties,
+    id,
+    sequence: 0,
+    allowedScopes,
+    secretHash: hashSecret({secret})
+  };
+  if(audience !== undefined) {
+    client.audience = audience;
+  }
+  return {client, secret};
+}
+
+/**
+ * Creates a client record, as it would be stored by `clients.insert()`, for
+ * a client with a known secret. The record is not stored.
+ *
+ * @param {object} [options] - Options to use; see `createClient()`.
+ *
+ * @returns {object} An object with the client `record` and its plaintext
+ *   `secret`.
+ */
+export function createRecord(options) {
+  const {client, secret} = createClient(options);
+  const now = Date.now();
+  const record = {
+    meta: {
+      created: now,
+      updated: now,
+      status: 'active',
+      schemaVersion: migrations.getLatestVersion()
+    },
+    client
+  };
+  return {record, secret};
+}
+
+/**
+ * Creates a client with a known secret and inserts it via
+ * `clients.insert()`.
+ *
+ * @param {object} [options] - Options to use; see `createClient()`.
+ *
+ * @returns {Promise<object>} Resolves with an object with the client
+ *   `record` and its plaintext `secret`.
+ */
+export async function insertClient(options) {
+  const {client, secret} = createClient(options);
+  const record = await clients.insert({client});
+  return {record, secret};
+}
+
+/**
+ * Inserts a record directly into a collection, bypassing validation,
+ * events and history. Client records are inserted into the selected
+ * storage backend.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.record - The record to insert.
+ * @param {string} [options.collectionName=clients.COLLECTION_NAME] - The
+ *   name of the collection.
+ *
+ * @returns {Promise} Resolves once the record has been inserted.
+ */
+export async function insertRecord({
+  record, collectionName = clients.COLLECTION_NAME
+} = {}) {
+  if(collectionName === clients.COLLECTION_NAME && !storage.isMongoDB()) {
+    await storage.getBackend().insert({record: structuredClone(record)});
+    return;
+  }
+  const collection = database.collections[collectionName];
+  await collection.insertOne(structuredClone(record));
+}
+
+/**
+ * Removes all client records, client history, rate limit counters and
+ * records stored by the `memory` storage backend, and clears the client
+ * cache.
+ *
+ * @returns {Promise} Resolves once everything has been removed.
+ */
+export async function cleanDatabase() {
+  for(const collectionName of [
+    clients.COLLECTION_NAME, history.COLLECTION_NAME,
+    rateLimits.COLLECTION_NAME
+  ]) {
+    // collections are not opened with other storage backends
+    await database.collections[collectionName]?.deleteMany({});
+  }
+  storage.memory.clear();
+  clients.clearCache();
+}
+
+/**
+ * Requests an OAuth2 access token using the client credentials grant.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.url - The URL of the token endpoint.
+ * @param {string} options.clientId - The ID of the client.
+ * @param {string} options.secret - The plaintext secret of the client.
+ * @param {Array<string>} options.requestedScopes - The scopes to request.
+ *
+ * @returns {Promise<object>} Resolves with the HTTP response; the token is
+ *   in `data.access_token`.
+ */
+export async function requestOAuth2AccessToken({
+  url, clientId, secret, requestedScopes
+} = {}) {
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    scope: requestedScopes.join(' ')
+  });
+  const credentials = Buffer.from(`${clientId}:${secret}`).toString('base64');
+  const headers = {
+    accept: 'application/json',
+    authorization: `Basic ${credentials}`
+  };
+  return httpClient.post(url, {agent: httpsAgent, body, headers});
+}
+
+/**
+ * Asserts that a query used an index scan on the expected index, e.g., for
+ * the result of `clients.find({..., explain: true})`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.explain - The explain output with
+ *   `executionStats`.
+ * @param {object} options.keyPattern - The key pattern of the expected
+ *   index, e.g., `{'client.id': 1}`.
+ *
+ * @returns {object} The `IXSCAN` stage, for further assertions.
+ */
+export function assertIndexUsed({explain, keyPattern} = {}) {
+  assert.ok(explain?.executionStats, 'Explain output has no "executionStats".');
+  const stages = _findStages({stage: explain.executionStats.executionStages})
+    .filter(({stage}) => stage === 'IXSCAN');
+  const match = stages.find(
+    stage => _isDeepEqual(stage.keyPattern, keyPattern));
+  if(!match) {
+    const used = stages.map(({keyPattern}) => JSON.stringify(keyPattern));
+    assert.fail(
+      `Expected an index scan on ${JSON.stringify(keyPattern)}; ` +
+      `index scans: ${used.length > 0 ? used.join(', ') : 'none'}.`);
+  }
+  return match;
+}
+
+// gets a stage and all of its input stages
+function _findStages({stage}) {
+  if(!stage) {
+    return [];
+  }
+  const inputs = [stage.inputStage, ...(stage.inputStages ?? [])];
+  return [stage, ...inputs.flatMap(input => _findStages({stage: input}))];
+}
+
+// key order matters in a key pattern
+function _isDeepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as cache from './cache.js';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+// MongoDB server error codes
+const CHANGE_STREAM_NOT_SUPPORTED = 40573;
+const INVALID_RESUME_TOKEN = 260;
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+// only the client ID is needed to invalidate a cache entry
+const PIPELINE = [{$project: {operationType: 1, 'fullDocument.client.id': 1}}];
+
+const STATE = {
+  running: false,
+  mode: undefined,
+  // resume token for the last change seen, kept so that an interrupted
+  // change stream can be resumed without missing any changes
+  resumeToken: undefined,
+  stream: undefined,
+  abortController: undefined,
+  done: undefined
+};
+
+bedrock.events.on('bedrock.stop', async () => {
+  await stop();
+});
+
+/**
+ * Starts watching the given client collection for changes made by any
+ * process and invalidates the changed clients in the in-process cache.
+ *
+ * MongoDB change streams are used if they are supported by the database
+ * (they require a replica set or sharded cluster); otherwise the collection
+ * is polled for records with a recent `meta.updated` time. Polling cannot
+ * detect removed records; these remain cached until their cache entries
+ * expire.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.collection - The client collection.
+ * @param {number} options.pollInterval - The time (in ms) between polls when
+ *   change streams are not supported.
+ * @param {number} options.retryInterval - The time (in ms) to wait before
+ *   reopening a change stream after an error.
+ */
+export function start({collection, pollInterval, retryInterval} = {}) {
+  if(STATE.running) {
+    return;
+  }
+  STATE.running = true;
+  STATE.mode = 'changeStream';
+  STATE.abortController = new AbortController();
+  STATE.done = _watch({collection, pollInterval, retryInterval});
+}
+
+/**
+ * Stops watching for client changes.
+ *
+ * @returns {Promise} Resolves once watching has stopped.
+ */
+export async function stop() {
+  if(!STATE.running) {
+    return;
+  }
+  STATE.running = false;
+  STATE.abortController.abort();
+  await STATE.stream?.close();
+  await STATE.done;
+  STATE.mode = undefined;
+}
+
+/**
+ * Gets the status of the watcher.
+ *
+ * @returns {object} An object with `running` and `mode` (`changeStream` or
+ *   `poll`).
+ */
+export function getStatus() {
+  return {running: STATE.running, mode: STATE.mode};
+}
+
+async function _watch({collection, pollInterval, retryInterval}) {
+  while(STATE.running) {
+    if(!STATE.resumeToken) {
+      // changes may have been missed while not watching
+      cache.clear();
+    }
+    try {
+      await _consumeChangeStream({collection});
+    } catch(error) {
+      if(!STATE.running) {
+        break;
+      }
+      if(error.code === CHANGE_STREAM_NOT_SUPPORTED) {
+        logger.info(
+          'Change streams not supported; polling for client changes.');
+        STATE.mode = 'poll';
+        await _poll({collection, pollInterval});
+        break;
+      }
+      if(error.code === INVALID_RESUME_TOKEN ||
+        error.code === CHANGE_STREAM_HISTORY_LOST) {
+        STATE.resumeToken = undefined;
+      }
+      logger.error('Client change stream interrupted.', {error});
+      await _sleep(retryInterval);
+    }
+  }
+}
+
+async function _consumeChangeStream({collection}) {
+  const options = {fullDocument: 'updateLookup'};
+  if(STATE.resumeToken) {
+    options.resumeAfter = STATE.resumeToken;
+  }
+  const stream = STATE.stream = collection.watch(PIPELINE, options);
+  let invalidated = false;
+  try {
+    for await (const change of stream) {
+      STATE.resumeToken = change._id;
+      if(change.operationType === 'invalidate') {
+        // the collection was dropped or renamed; start a new change stream
+        STATE.resumeToken = undefined;
+        invalidated = true;
+        break;
+      }
+      const id = change.fullDocument?.client?.id;
+      if(id === undefined) {
+        // removals (and changes to records that have since been removed) do
+        // not include the client ID
+        cache.clear();
+      } else {
+        cache.invalidate({key: id});
+      }
+    }
+  } finally {
+    if(!invalidated) {
+      STATE.resumeToken = stream.resumeToken ?? STATE.resumeToken;
+    }
+    STATE.stream = undefined;
+    await stream.close();
+  }
+}
+
+async function _poll({collection, pollInterval}) {
+  let since = Date.now();
+  while(STATE.running) {
+    await _sleep(pollInterval);
+    if(!STATE.running) {
+      break;
+    }
+    const now = Date.now();
+    try {
+      // look back an extra interval to allow for clock skew between nodes
+      const records = await collection.find(
+        {'meta.updated': {$gte: since - pollInterval}},
+        {projection: {_id: 0, 'client.id': 1}}).toArray();
+      for(const {client} of records) {
+        cache.invalidate({key: client.id});
+      }
+      since = now;
+    } catch(error) {
+      logger.error('Could not poll for client changes.', {error});
+    }
+  }
+}
+
+async function _sleep(ms) {
+  try {
+    await setTimeout(ms, undefined, {signal: STATE.abortController.signal});
+  } catch(e) {
+    if(e.name !== 'AbortError') {
+      throw e;
+    }
+  }
+}
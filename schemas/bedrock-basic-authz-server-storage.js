@@ -0,0 +1,198 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+// base64url-encoded SHA-256 hash
+const secretHash = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{43}$'
+};
+
+const timestamp = {
+  type: 'integer',
+  minimum: 0
+};
+
+const scope = {
+  type: 'string',
+  // `<action>:<target>`, e.g., `read:/foo`
+  pattern: '^[^:\\s]+:\\S+$'
+};
+
+const secret = {
+  title: 'Client Secret',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'secretHash', 'created'],
+  properties: {
+    id: {type: 'string', minLength: 1},
+    secretHash,
+    created: timestamp,
+    expires: timestamp
+  }
+};
+
+const rateLimits = {
+  title: 'Client Rate Limits',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    tokensPerMinute: {type: 'integer', minimum: 0},
+    tokensPerDay: {type: 'integer', minimum: 0},
+    window: {type: 'string', enum: ['fixed', 'sliding']}
+  }
+};
+
+export const client = {
+  title: 'Client',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'sequence'],
+  properties: {
+    id: {type: 'string', minLength: 1},
+    sequence: {type: 'integer', minimum: 0},
+    allowedScopes: {
+      type: 'array',
+      uniqueItems: true,
+      items: scope
+    },
+    audience: {type: 'string', format: 'uri'},
+    secretHash,
+    secrets: {
+      type: 'array',
+      items: secret
+    },
+    rateLimits
+  }
+};
+
+// the `meta` of a client record imported via `clients.importClients()`
+export const importedClientMeta = {
+  title: 'Imported Client Meta',
+  type: 'object',
+  additionalProperties: false,
+  required: ['created', 'updated'],
+  properties: {
+    created: timestamp,
+    updated: timestamp,
+    status: {type: 'string', enum: ['active', 'suspended', 'disabled']},
+    schemaVersion: {type: 'integer', minimum: 0},
+    expires: timestamp,
+    // recomputed on import
+    purgeAt: {type: 'string'},
+    revoked: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['date'],
+      properties: {
+        date: timestamp,
+        reason: {type: 'string', maxLength: 1024}
+      }
+    },
+    suspended: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['date'],
+      properties: {
+        date: timestamp,
+        reason: {type: 'string', maxLength: 1024},
+        until: timestamp
+      }
+    },
+    usage: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        lastUsed: timestamp,
+        lastIp: {type: 'string', maxLength: 64},
+        tokenCount: {type: 'integer', minimum: 0}
+      }
+    },
+    // dropped on import
+    managed: {type: 'boolean'}
+  }
+};
+
+export const scopes = {
+  title: 'Scopes',
+  type: 'array',
+  minItems: 1,
+  items: scope
+};
+
+// the parts of a scope, see `clients.findByScope()`
+export const scopeQuery = {
+  title: 'Scope Query',
+  type: 'object',
+  required: ['action', 'target'],
+  properties: {
+    action: {type: 'string', pattern: '^[^:\\s]+$'},
+    target: {type: 'string', pattern: '^\\S+$'}
+  }
+};
+
+export const clientFilter = {
+  title: 'Client Filter',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    audience: {type: 'string', maxLength: 2048},
+    scope,
+    scopePrefix: scope,
+    status: {type: 'string', enum: ['active', 'suspended', 'disabled']},
+    createdBefore: timestamp,
+    createdAfter: timestamp,
+    idPrefix: {type: 'string', minLength: 1, maxLength: 256}
+  }
+};
+
+export const createClientBody = {
+  title: 'Create Client',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  properties: {
+    id: client.properties.id,
+    allowedScopes: client.properties.allowedScopes,
+    audience: client.properties.audience,
+    secretHash,
+    secrets: client.properties.secrets,
+    rateLimits
+  }
+};
+
+export const updateClientBody = {
+  title: 'Update Client',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'sequence'],
+  // secrets cannot be changed via client updates
+  properties: {
+    id: client.properties.id,
+    sequence: client.properties.sequence,
+    allowedScopes: client.properties.allowedScopes,
+    audience: client.properties.audience,
+    rateLimits
+  }
+};
+
+export const revokeClientBody = {
+  title: 'Revoke Client',
+  type: 'object',
+  additionalProperties: false,
+  required: ['sequence'],
+  properties: {
+    sequence: client.properties.sequence,
+    reason: {type: 'string', maxLength: 1024}
+  }
+};
+
+export const listClientsQuery = {
+  title: 'List Clients Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    audience: {type: 'string'},
+    cursor: {type: 'string', maxLength: 1024},
+    limit: {type: 'string', pattern: '^[1-9][0-9]{0,2}$|^1000$'}
+  }
+};
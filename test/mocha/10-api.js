@@ -2,13 +2,17 @@
  * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
 import * as helpers from './helpers.js';
+import {clients, history} from '@bedrock/basic-authz-server-storage';
 import {mockRecord1, mockRecord2} from './mock.data.js';
-import {clients} from '@bedrock/basic-authz-server-storage';
+import {
+  assertIndexUsed
+} from '@bedrock/basic-authz-server-storage/test-helpers';
 import crypto from 'node:crypto';
 
 describe('API', () => {
-  describe('insert()', () => {
+  helpers.describeBackends('insert()', () => {
     it('should insert a record', async () => {
       const id = crypto.randomUUID();
       const record1 = await clients.insert({
@@ -73,127 +77,2078 @@ describe('API', () => {
       }
       err.name.should.equal('InvalidStateError');
     });
+
+    it('should error when an invalid "allowedScopes" is passed', async () => {
+      let err;
+      try {
+        await clients.insert({
+          client: {
+            id: crypto.randomUUID(),
+            sequence: 0,
+            allowedScopes: ['not a scope']
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('ValidationError');
+      err.details.errors[0].details.path.should.equal('.allowedScopes[0]');
+    });
+
+    it('should error when an invalid "secretHash" is passed', async () => {
+      let err;
+      try {
+        await clients.insert({
+          client: {
+            id: crypto.randomUUID(),
+            sequence: 0,
+            secretHash: 'too-short'
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('ValidationError');
+      err.details.errors[0].details.path.should.equal('.secretHash');
+    });
+
+    it('should error when an unknown property is passed', async () => {
+      let err;
+      try {
+        await clients.insert({
+          client: {
+            id: crypto.randomUUID(),
+            sequence: 0,
+            unknown: true
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should insert a record with a configured extra property', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          name: 'Test Client'
+        }
+      });
+      const {client} = await clients.get({id});
+      client.name.should.equal('Test Client');
+    });
+  });
+
+  describe('create()', () => {
+    it('should create a client with a generated secret', async () => {
+      const {record, secret} = await clients.create({
+        allowedScopes: ['read:/test-authorize-request'],
+        audience: 'https://localhost/namespace',
+        properties: {name: 'Test Client'}
+      });
+      secret.should.be.a('string');
+      record.client.id.should.be.a('string');
+      record.client.sequence.should.equal(0);
+      record.client.name.should.equal('Test Client');
+      record.client.secretHash.should.equal(clients.hashSecret({secret}));
+      const record2 = await clients.get({id: record.client.id});
+      record2.should.eql(record);
+    });
+
+    it('should generate unique secrets', async () => {
+      const {secret: secret1} = await clients.create();
+      const {secret: secret2} = await clients.create();
+      secret1.should.not.equal(secret2);
+    });
+  });
+
+  describe('resetSecret()', () => {
+    it('should replace all secrets', async () => {
+      const {record, secret: oldSecret} = await clients.create();
+      const {id} = record.client;
+      const {secret} = await clients.resetSecret({id, sequence: 0});
+      secret.should.not.equal(oldSecret);
+      const {client} = await clients.get({id});
+      client.sequence.should.equal(1);
+      client.secretHash.should.equal(clients.hashSecret({secret}));
+      clients.getActiveSecretHashes({client}).should.eql(
+        [clients.hashSecret({secret})]);
+    });
+
+    it('should replace all secrets without a "sequence"', async () => {
+      const {record} = await clients.create();
+      const {id} = record.client;
+      await clients.update({client: {...record.client, sequence: 1}});
+      const {secret} = await clients.resetSecret({id});
+      const {client} = await clients.get({id});
+      client.sequence.should.equal(2);
+      clients.getActiveSecretHashes({client}).should.eql(
+        [clients.hashSecret({secret})]);
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const {record} = await clients.create();
+      let err;
+      try {
+        await clients.resetSecret({id: record.client.id, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+  });
+
+  helpers.describeBackends('get()', () => {
+    it('should get a record', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      const record2 = await clients.get({id});
+      record1.should.eql(record2);
+    });
+
+    it('should error when no "id" is passed', async () => {
+      let err;
+      try {
+        await clients.get();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('id (string) is required');
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await clients.get({
+          id: crypto.randomUUID()
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  helpers.describeBackends('update()', () => {
+    it('should update a record', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+
+      // now update
+      await clients.update({
+        client: {
+          id,
+          sequence: 1
+        }
+      });
+      const record2 = await clients.get({id});
+      record1.should.not.eql(record2);
+      const expectedRecord2 = {
+        ...record2,
+        client: {...record1.client, sequence: 1}
+      };
+      record2.should.eql(expectedRecord2);
+
+      // should fetch the same record again
+      const record3 = await clients.get({id});
+      record2.should.eql(record3);
+    });
+
+    it('should error when no "client" is passed', async () => {
+      let err;
+      try {
+        await clients.update();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('client (object) is required');
+    });
+
+    it('should error when no "client.id" is passed', async () => {
+      let err;
+      try {
+        await clients.update({
+          client: {}
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('client.id (string) is required');
+    });
+
+    it('should error when no "client.sequence" is passed', async () => {
+      let err;
+      try {
+        const id = crypto.randomUUID();
+        await clients.update({
+          client: {
+            id
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('client.sequence (number) is required');
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      let err;
+      try {
+        const id = crypto.randomUUID();
+        await clients.insert({
+          client: {
+            id,
+            sequence: 0
+          }
+        });
+        await clients.update({
+          client: {
+            id,
+            sequence: 2
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+
+    it('should error when an invalid "audience" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      let err;
+      try {
+        await clients.update({
+          client: {
+            id,
+            sequence: 1,
+            audience: 'not a URL'
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('ValidationError');
+      err.details.errors[0].details.path.should.equal('.audience');
+    });
+  });
+
+  describe('insertMany()', () => {
+    it('should insert many clients', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      const results = await clients.insertMany({
+        clients: ids.map(id => ({id, sequence: 0}))
+      });
+      results.should.eql(ids.map(id => ({id, status: 'inserted'})));
+      for(const id of ids) {
+        const record = await clients.get({id});
+        record.client.sequence.should.equal(0);
+        record.meta.status.should.equal('active');
+      }
+    });
+
+    it('should report per-client failures', async () => {
+      const existingId = crypto.randomUUID();
+      await clients.insert({client: {id: existingId, sequence: 0}});
+      const ids = [crypto.randomUUID(), existingId, crypto.randomUUID()];
+      const results = await clients.insertMany({
+        clients: [
+          {id: ids[0], sequence: 0},
+          {id: ids[1], sequence: 0},
+          {id: ids[2], sequence: 1}
+        ]
+      });
+      results[0].status.should.equal('inserted');
+      results[1].status.should.equal('failed');
+      results[1].error.name.should.equal('DuplicateError');
+      results[2].status.should.equal('failed');
+      results[2].error.name.should.equal('InvalidStateError');
+    });
+
+    it('should stop at the first failure when ordered', async () => {
+      const existingId = crypto.randomUUID();
+      await clients.insert({client: {id: existingId, sequence: 0}});
+      const ids = [crypto.randomUUID(), existingId, crypto.randomUUID()];
+      const results = await clients.insertMany({
+        clients: ids.map(id => ({id, sequence: 0})),
+        ordered: true
+      });
+      results.map(({status}) => status).should.eql(
+        ['inserted', 'failed', 'skipped']);
+      results[1].error.name.should.equal('DuplicateError');
+      let err;
+      try {
+        await clients.get({id: ids[2]});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('updateMany()', () => {
+    it('should update many clients', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      await clients.insertMany({clients: ids.map(id => ({id, sequence: 0}))});
+      await Promise.all(ids.map(id => clients.get({id})));
+      const results = await clients.updateMany({
+        clients: ids.map(id => ({
+          id, sequence: 1, allowedScopes: ['read:/foo']
+        })),
+        actor: 'admin'
+      });
+      results.should.eql(ids.map(id => ({id, status: 'updated'})));
+      for(const id of ids) {
+        const record = await clients.get({id});
+        record.client.sequence.should.equal(1);
+        record.client.allowedScopes.should.eql(['read:/foo']);
+        const snapshots = await history.getAll({id});
+        snapshots.length.should.equal(2);
+        snapshots[1].meta.actor.should.equal('admin');
+      }
+    });
+
+    it('should report sequence conflicts', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      await clients.insertMany({clients: ids.map(id => ({id, sequence: 0}))});
+      const results = await clients.updateMany({
+        clients: [{id: ids[0], sequence: 2}, {id: ids[1], sequence: 1}]
+      });
+      results[0].status.should.equal('failed');
+      results[0].error.name.should.equal('InvalidStateError');
+      results[0].error.details.expected.should.equal(1);
+      results[1].status.should.equal('updated');
+    });
+
+    it('should stop at the first failure when ordered', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      await clients.insertMany({clients: ids.map(id => ({id, sequence: 0}))});
+      const results = await clients.updateMany({
+        clients: [{id: ids[0], sequence: 2}, {id: ids[1], sequence: 1}],
+        ordered: true
+      });
+      results.map(({status}) => status).should.eql(['failed', 'skipped']);
+      const record = await clients.get({id: ids[1]});
+      record.client.sequence.should.equal(0);
+    });
+
+    describe('w/concurrent changes', () => {
+      // listeners can't be removed, so this one only acts on tracked IDs
+      const conflicting = new Set();
+      before(() => {
+        bedrock.events.on(
+          'basic-authz-server-storage.client.updating', async data => {
+            if(!conflicting.has(data.id)) {
+              return;
+            }
+            // simulate a change by another process once the sequence has
+            // been checked
+            const collection = database.collections[clients.COLLECTION_NAME];
+            await collection.updateOne(
+              {'client.id': data.id}, {$inc: {'client.sequence': 1}});
+          });
+      });
+
+      it('should report only conflicting updates as failed', async () => {
+        const ids = [crypto.randomUUID(), crypto.randomUUID()];
+        await clients.insertMany({
+          clients: ids.map(id => ({id, sequence: 0}))
+        });
+        conflicting.add(ids[0]);
+        const results = await clients.updateMany({
+          clients: ids.map(id => ({id, sequence: 1}))
+        });
+        results.map(({status}) => status).should.eql(['failed', 'updated']);
+        results[0].error.name.should.equal('InvalidStateError');
+        const record = await clients.get({id: ids[1]});
+        record.client.sequence.should.equal(1);
+      });
+
+      it('should stop at the first conflict when ordered', async () => {
+        const ids = [crypto.randomUUID(), crypto.randomUUID()];
+        await clients.insertMany({
+          clients: ids.map(id => ({id, sequence: 0}))
+        });
+        conflicting.add(ids[0]);
+        const results = await clients.updateMany({
+          clients: ids.map(id => ({id, sequence: 1})),
+          ordered: true
+        });
+        results.map(({status}) => status).should.eql(['failed', 'skipped']);
+        const record = await clients.get({id: ids[1]});
+        record.client.sequence.should.equal(0);
+      });
+    });
+
+    it('should reject duplicate client IDs', async () => {
+      const id = crypto.randomUUID();
+      let err;
+      try {
+        await clients.updateMany({
+          clients: [{id, sequence: 1}, {id, sequence: 1}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('modify()', () => {
+    it('should modify a record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const record = await clients.modify({
+        id,
+        mutate(client) {
+          client.allowedScopes = ['read:/a'];
+        }
+      });
+      record.client.should.eql({id, sequence: 1, allowedScopes: ['read:/a']});
+      const record2 = await clients.get({id});
+      record2.should.eql(record);
+    });
+
+    it('should retry on a sequence conflict', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      let calls = 0;
+      const record = await clients.modify({
+        id,
+        async mutate(client) {
+          if(calls++ === 0) {
+            // simulate a concurrent change
+            await clients.update({
+              client: {...client, sequence: 1, allowedScopes: ['read:/a']}
+            });
+          }
+          return {...client, name: 'Test Client'};
+        }
+      });
+      calls.should.equal(2);
+      record.client.should.eql({
+        id, sequence: 2, allowedScopes: ['read:/a'], name: 'Test Client'
+      });
+    });
+
+    it('should error when retries are exhausted', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      let err;
+      try {
+        await clients.modify({
+          id,
+          maxRetries: 0,
+          async mutate(client) {
+            await clients.update({client: {...client, sequence: 1}});
+            return client;
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+      err.details.expected.should.equal(0);
+      err.details.actual.should.equal(1);
+    });
+
+    it('should error when "mutate" changes the "id"', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      let err;
+      try {
+        await clients.modify({
+          id,
+          mutate: client => ({...client, id: crypto.randomUUID()})
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('grantScopes()', () => {
+    it('should add scopes', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      const record = await clients.grantScopes({
+        id, scopes: ['read:/a', 'write:/a']
+      });
+      record.client.sequence.should.equal(1);
+      record.client.allowedScopes.should.eql(['read:/a', 'write:/a']);
+      const record2 = await clients.get({id});
+      record2.should.eql(record);
+    });
+
+    it('should add scopes to a client without scopes', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const record = await clients.grantScopes({id, scopes: ['read:/a']});
+      record.client.allowedScopes.should.eql(['read:/a']);
+    });
+
+    it('should be safe to retry', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.grantScopes({id, scopes: ['read:/a']});
+      const record = await clients.grantScopes({id, scopes: ['read:/a']});
+      record.client.sequence.should.equal(1);
+      record.client.allowedScopes.should.eql(['read:/a']);
+    });
+
+    it('should apply concurrent grants', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await Promise.all([
+        clients.grantScopes({id, scopes: ['read:/a']}),
+        clients.grantScopes({id, scopes: ['read:/b']})
+      ]);
+      const {client} = await clients.get({id});
+      client.sequence.should.equal(2);
+      client.allowedScopes.slice().sort().should.eql(['read:/a', 'read:/b']);
+    });
+
+    it('should error when an invalid scope is passed', async () => {
+      let err;
+      try {
+        await clients.grantScopes({
+          id: crypto.randomUUID(), scopes: ['invalid']
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await clients.grantScopes({
+          id: crypto.randomUUID(), scopes: ['read:/a']
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('revokeScopes()', () => {
+    it('should remove scopes', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a', 'write:/a']}
+      });
+      const record = await clients.revokeScopes({id, scopes: ['write:/a']});
+      record.client.sequence.should.equal(1);
+      record.client.allowedScopes.should.eql(['read:/a']);
+    });
+
+    it('should be safe to retry', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      await clients.revokeScopes({id, scopes: ['read:/a']});
+      const record = await clients.revokeScopes({id, scopes: ['read:/a']});
+      record.client.sequence.should.equal(1);
+      record.client.allowedScopes.should.eql([]);
+    });
+  });
+
+  helpers.describeBackends('find()', () => {
+    it('should find clients using a filter', async () => {
+      const prefix = crypto.randomUUID();
+      const ids = [`${prefix}-1`, `${prefix}-2`, `${prefix}-3`];
+      await clients.insert({
+        client: {
+          id: ids[0], sequence: 0, audience: 'https://a.example',
+          allowedScopes: ['read:/foo']
+        }
+      });
+      await clients.insert({
+        client: {
+          id: ids[1], sequence: 0, audience: 'https://b.example',
+          allowedScopes: ['read:/foo', 'write:/foo']
+        }
+      });
+      await clients.insert({client: {id: ids[2], sequence: 0}});
+
+      let records = await clients.find({filter: {idPrefix: prefix}});
+      records.map(({client}) => client.id).sort().should.eql(ids);
+      should.not.exist(records[0]._id);
+
+      records = await clients.find({
+        filter: {idPrefix: prefix, scope: 'read:/foo'}
+      });
+      records.map(({client}) => client.id).sort().should.eql(
+        ids.slice(0, 2));
+
+      records = await clients.find({
+        filter: {idPrefix: prefix, audience: 'https://b.example'}
+      });
+      records.map(({client}) => client.id).should.eql([ids[1]]);
+
+      const count = await clients.count({
+        filter: {idPrefix: prefix, createdBefore: Date.now() + 1000}
+      });
+      count.should.equal(3);
+      (await clients.count({
+        filter: {idPrefix: prefix, createdAfter: Date.now() + 1000}
+      })).should.equal(0);
+    });
+
+    it('should apply a limit', async () => {
+      const prefix = crypto.randomUUID();
+      await clients.insert({client: {id: `${prefix}-1`, sequence: 0}});
+      await clients.insert({client: {id: `${prefix}-2`, sequence: 0}});
+      const records = await clients.find({
+        filter: {idPrefix: prefix}, limit: 1
+      });
+      records.length.should.equal(1);
+    });
+
+    it('should treat "idPrefix" as a literal prefix', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const records = await clients.find({filter: {idPrefix: '.*'}});
+      records.length.should.equal(0);
+    });
+
+    it('should reject operators in filter values', async () => {
+      let err;
+      try {
+        await clients.find({filter: {audience: {$ne: null}}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should reject unknown filter fields', async () => {
+      let err;
+      try {
+        await clients.count({filter: {'client.id': 'foo'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should reject a raw query unless "raw" is true', async () => {
+      let err;
+      try {
+        await clients.find({query: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('findByScope()', () => {
+    let target;
+    let ids;
+    beforeEach(async () => {
+      target = `/${crypto.randomUUID()}`;
+      ids = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+      await clients.insert({
+        client: {id: ids[0], sequence: 0, allowedScopes: [`write:${target}`]}
+      });
+      await clients.insert({
+        client: {
+          id: ids[1], sequence: 0,
+          allowedScopes: [`read:${target}`, `write:${target}/bar`]
+        }
+      });
+      await clients.insert({
+        client: {id: ids[2], sequence: 0, allowedScopes: [`read:${target}`]}
+      });
+    });
+
+    it('should find clients with an exact scope', async () => {
+      const records = await clients.findByScope({action: 'write', target});
+      records.map(({client}) => client.id).should.eql([ids[0]]);
+    });
+
+    it('should find clients with a scope prefix', async () => {
+      const records = await clients.findByScope({
+        action: 'write', target, match: 'prefix'
+      });
+      records.map(({client}) => client.id).sort().should.eql(
+        ids.slice(0, 2).sort());
+    });
+
+    it('should find clients with a scope and status', async () => {
+      await clients.suspend({id: ids[2]});
+      let records = await clients.findByScope({
+        action: 'read', target, status: 'active'
+      });
+      records.map(({client}) => client.id).should.eql([ids[1]]);
+      records = await clients.findByScope({
+        action: 'read', target, status: 'suspended'
+      });
+      records.map(({client}) => client.id).should.eql([ids[2]]);
+    });
+
+    it('should treat the target as a literal prefix', async () => {
+      const records = await clients.findByScope({
+        action: 'write', target: '/.*', match: 'prefix'
+      });
+      records.length.should.equal(0);
+    });
+
+    it('should reject an invalid action', async () => {
+      let err;
+      try {
+        await clients.findByScope({action: 'write:', target});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should reject an invalid target', async () => {
+      let err;
+      try {
+        await clients.findByScope({action: 'write', target: '/a b'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
+
+    it('should reject an unknown "match"', async () => {
+      let err;
+      try {
+        await clients.findByScope({action: 'write', target, match: 'regex'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('findPage()', () => {
+    let audience;
+    let ids;
+    before(async () => {
+      audience = `https://localhost/${crypto.randomUUID()}`;
+      ids = [];
+      for(let i = 0; i < 5; ++i) {
+        const id = crypto.randomUUID();
+        ids.push(id);
+        await clients.insert({client: {id, sequence: 0, audience}});
+      }
+    });
+
+    it('should page through records by "id"', async () => {
+      const filter = {audience};
+      const found = [];
+      let cursor;
+      let pages = 0;
+      do {
+        let records;
+        ({records, cursor} = await clients.findPage({
+          filter, limit: 2, cursor
+        }));
+        found.push(...records.map(r => r.client.id));
+        pages++;
+      } while(cursor);
+      pages.should.equal(3);
+      found.should.eql(ids.slice().sort());
+    });
+
+    it('should page through records by "created"', async () => {
+      const filter = {audience};
+      const found = [];
+      let cursor;
+      do {
+        let records;
+        ({records, cursor} = await clients.findPage({
+          filter, sortBy: 'created', limit: 2, cursor
+        }));
+        found.push(...records.map(r => r.client.id));
+      } while(cursor);
+      found.length.should.equal(5);
+      found.slice().sort().should.eql(ids.slice().sort());
+    });
+
+    it('should not return a cursor on the last page', async () => {
+      const result = await clients.findPage({filter: {audience}, limit: 5});
+      result.records.length.should.equal(5);
+      should.not.exist(result.cursor);
+    });
+
+    it('should page through records using a raw query', async () => {
+      const query = {'client.audience': audience};
+      const result = await clients.findPage({raw: true, query, limit: 5});
+      result.records.length.should.equal(5);
+    });
+
+    it('should reject a raw query unless "raw" is true', async () => {
+      let err;
+      try {
+        await clients.findPage({query: {}});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+
+    it('should error when an invalid "cursor" is passed', async () => {
+      let err;
+      try {
+        await clients.findPage({cursor: 'invalid'});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('DataError');
+    });
+
+    it('should error when an invalid "limit" is passed', async () => {
+      let err;
+      try {
+        await clients.findPage({limit: 0});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('iterate()', () => {
+    it('should iterate over all matching records', async () => {
+      const audience = `https://localhost/${crypto.randomUUID()}`;
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const id = crypto.randomUUID();
+        ids.push(id);
+        await clients.insert({client: {id, sequence: 0, audience}});
+      }
+      const found = [];
+      for await (const record of clients.iterate({
+        filter: {audience}, batchSize: 2
+      })) {
+        found.push(record.client.id);
+      }
+      found.should.eql(ids.slice().sort());
+    });
+  });
+
+  describe('exportClients()', () => {
+    it('should export records as JSON Lines', async () => {
+      const audience = `https://localhost/${crypto.randomUUID()}`;
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          audience,
+          secretHash: mockRecord1.client.secretHash
+        }
+      });
+      const lines = [];
+      for await (const line of clients.exportClients({
+        filter: {audience}
+      })) {
+        lines.push(line);
+      }
+      lines.length.should.equal(1);
+      lines[0].endsWith('\n').should.equal(true);
+      const record = JSON.parse(lines[0]);
+      record.client.id.should.equal(id);
+      record.client.secretHash.should.equal(mockRecord1.client.secretHash);
+    });
+
+    it('should redact secrets', async () => {
+      const audience = `https://localhost/${crypto.randomUUID()}`;
+      await clients.insert({
+        client: {
+          id: crypto.randomUUID(),
+          sequence: 0,
+          audience,
+          secretHash: mockRecord1.client.secretHash
+        }
+      });
+      const lines = [];
+      for await (const line of clients.exportClients({
+        filter: {audience}, redactSecrets: true
+      })) {
+        lines.push(line);
+      }
+      const record = JSON.parse(lines[0]);
+      should.not.exist(record.client.secretHash);
+    });
+  });
+
+  describe('importClients()', () => {
+    function toLines(records) {
+      return [records.map(r => JSON.stringify(r)).join('\n')];
+    }
+
+    it('should import new records', async () => {
+      const id = crypto.randomUUID();
+      const now = Date.now();
+      const imported = {
+        client: {id, sequence: 3},
+        meta: {created: now, updated: now}
+      };
+      const {results, aborted} = await clients.importClients({
+        source: toLines([imported])
+      });
+      aborted.should.equal(false);
+      results.should.eql([{line: 1, id, status: 'inserted'}]);
+      const record = await clients.get({id});
+      record.should.eql(imported);
+    });
+
+    it('should skip existing records', async () => {
+      const id = crypto.randomUUID();
+      const existing = await clients.insert({client: {id, sequence: 0}});
+      const {results} = await clients.importClients({
+        source: toLines([{...existing, client: {id, sequence: 1}}])
+      });
+      results[0].status.should.equal('skipped');
+      const record = await clients.get({id});
+      record.client.sequence.should.equal(0);
+    });
+
+    it('should overwrite existing records if newer', async () => {
+      const id = crypto.randomUUID();
+      const existing = await clients.insert({client: {id, sequence: 0}});
+      const {results} = await clients.importClients({
+        source: toLines([
+          {...existing, client: {id, sequence: 1}},
+          {...existing, client: {id, sequence: 1, allowedScopes: []}}
+        ]),
+        mode: 'overwrite-if-newer'
+      });
+      results.map(r => r.status).should.eql(['updated', 'skipped']);
+      const record = await clients.get({id});
+      record.client.should.eql({id, sequence: 1});
+    });
+
+    it('should stop on conflict', async () => {
+      const id = crypto.randomUUID();
+      const existing = await clients.insert({client: {id, sequence: 0}});
+      const newId = crypto.randomUUID();
+      const {results, aborted} = await clients.importClients({
+        source: toLines([
+          existing,
+          {...existing, client: {id: newId, sequence: 0}}
+        ]),
+        mode: 'fail-on-conflict'
+      });
+      aborted.should.equal(true);
+      results.length.should.equal(1);
+      results[0].status.should.equal('failed');
+      results[0].error.name.should.equal('DuplicateError');
+      let err;
+      try {
+        await clients.get({id: newId});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should report invalid lines', async () => {
+      const {results} = await clients.importClients({
+        source: ['not JSON\n{"client": {"id": "x", "sequence": -1}, ' +
+          '"meta": {}}\n']
+      });
+      results.length.should.equal(2);
+      results[0].status.should.equal('failed');
+      results[1].status.should.equal('failed');
+      results[1].error.name.should.equal('ValidationError');
+    });
+
+    it('should reject invalid meta', async () => {
+      const now = Date.now();
+      const invalidMetas = [
+        {created: now},
+        {created: now, updated: now, status: 'unknown'},
+        {created: now, updated: now, revoked: true},
+        {created: now, updated: now, usage: {tokenCount: -1}},
+        {created: now, updated: now, unknown: true}
+      ];
+      const ids = invalidMetas.map(() => crypto.randomUUID());
+      const {results} = await clients.importClients({
+        source: toLines(invalidMetas.map((meta, i) => ({
+          client: {id: ids[i], sequence: 0}, meta
+        })))
+      });
+      results.length.should.equal(invalidMetas.length);
+      for(const result of results) {
+        result.status.should.equal('failed');
+        result.error.name.should.equal('ValidationError');
+      }
+      const count = await clients.count({raw: true, query: {
+        'client.id': {$in: ids}
+      }});
+      count.should.equal(0);
+    });
+
+    it('should keep usage but drop managed', async () => {
+      const id = crypto.randomUUID();
+      const now = Date.now();
+      const usage = {lastUsed: now, lastIp: '127.0.0.1', tokenCount: 5};
+      const {results} = await clients.importClients({
+        source: toLines([{
+          client: {id, sequence: 0},
+          meta: {created: now, updated: now, managed: true, usage}
+        }])
+      });
+      results[0].status.should.equal('inserted');
+      const record = await clients.get({id});
+      record.meta.usage.should.eql(usage);
+      should.not.exist(record.meta.managed);
+
+      // an imported client is not pruned by `seed()`
+      const {revoked} = await clients.seed({clients: [], prune: true});
+      revoked.should.not.include(id);
+      await clients.get({id});
+    });
+  });
+
+  describe('seed()', () => {
+    it('should insert, update and prune seeded clients', async () => {
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const client1 = {id: id1, allowedScopes: ['read:/a']};
+      const client2 = {id: id2, allowedScopes: []};
+
+      const result1 = await clients.seed({clients: [client1, client2]});
+      result1.inserted.should.eql([id1, id2]);
+      const record1 = await clients.get({id: id1});
+      record1.client.should.eql({...client1, sequence: 0});
+      record1.meta.managed.should.equal(true);
+
+      // seeding again is a no-op
+      const result2 = await clients.seed({clients: [client1, client2]});
+      result2.should.eql({inserted: [], updated: [], revoked: []});
+
+      // change a client and remove another
+      const changed = {...client1, allowedScopes: ['read:/a', 'write:/a']};
+      const result3 = await clients.seed({clients: [changed], prune: true});
+      result3.should.eql({inserted: [], updated: [id1], revoked: [id2]});
+      const record2 = await clients.get({id: id1});
+      record2.client.should.eql({...changed, sequence: 1});
+
+      let err;
+      try {
+        await clients.get({id: id2});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('should not prune clients that were not seeded', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const result = await clients.seed({clients: [], prune: true});
+      result.revoked.should.not.include(id);
+      const record = await clients.get({id});
+      record.client.id.should.equal(id);
+    });
+
+    it('should error when a seeded client has a "sequence"', async () => {
+      let err;
+      try {
+        await clients.seed({
+          clients: [{id: crypto.randomUUID(), sequence: 0}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('remove()', () => {
+    it('should remove a record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      const result = await clients.remove({id, sequence: 0});
+      result.should.equal(true);
+
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should error when no "id" is passed', async () => {
+      let err;
+      try {
+        await clients.remove();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('id (string) is required');
+    });
+
+    it('should error when no "sequence" is passed', async () => {
+      let err;
+      try {
+        await clients.remove({id: crypto.randomUUID()});
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('sequence (number) is required');
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      let err;
+      try {
+        await clients.remove({id, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+
+      // record should still exist
+      const record = await clients.get({id});
+      record.client.id.should.equal(id);
+    });
+  });
+
+  describe('revoke()', () => {
+    it('should revoke a record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      const result = await clients.revoke({
+        id, sequence: 0, reason: 'Compromised secret.'
+      });
+      result.should.equal(true);
+
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotAllowedError');
+      err.details.revoked.should.equal(true);
+
+      const record = await clients.get({id, includeRevoked: true});
+      record.client.sequence.should.equal(1);
+      record.meta.revoked.reason.should.equal('Compromised secret.');
+      record.meta.revoked.date.should.be.a('number');
+    });
+
+    it('should not get a record with a "disabled" status', async () => {
+      const {record} = helpers.createRecord();
+      record.meta.status = 'disabled';
+      await helpers.insertRecord({record});
+
+      const {id} = record.client;
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotAllowedError');
+      err.details.revoked.should.equal(true);
+
+      const result = await clients.get({id, includeRevoked: true});
+      result.meta.status.should.equal('disabled');
+    });
+
+    it('should error when revoking an already revoked record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      await clients.revoke({id, sequence: 0});
+      let err;
+      try {
+        await clients.revoke({id, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0
+        }
+      });
+      let err;
+      try {
+        await clients.revoke({id, sequence: 1});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+  });
+
+  describe('cache', () => {
+    it('should serve a record from the cache', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const stats1 = clients.getCacheStats();
+      stats1.enabled.should.equal(true);
+      const record1 = await clients.get({id});
+      const record2 = await clients.get({id});
+      record1.should.eql(record2);
+      const stats2 = clients.getCacheStats();
+      stats2.misses.should.equal(stats1.misses + 1);
+      stats2.hits.should.equal(stats1.hits + 1);
+    });
+
+    it('should invalidate a cached record on update', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.get({id});
+      await clients.update({client: {id, sequence: 1}});
+      const record = await clients.get({id});
+      record.client.sequence.should.equal(1);
+    });
+
+    it('should invalidate a cached not found result on insert', async () => {
+      const id = crypto.randomUUID();
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      await clients.insert({client: {id, sequence: 0}});
+      const record = await clients.get({id});
+      record.client.id.should.equal(id);
+    });
+
+    it('should invalidate a cached record on remove', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.get({id});
+      await clients.remove({id, sequence: 0});
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should not corrupt the cache via mutation', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const record1 = await clients.get({id});
+      record1.client.sequence = 10;
+      const record2 = await clients.get({id});
+      record2.client.sequence.should.equal(0);
+    });
+
+    it('should watch for changes made by other processes', async () => {
+      const {watch} = clients.getCacheStats();
+      watch.running.should.equal(true);
+      ['changeStream', 'poll'].should.include(watch.mode);
+    });
+
+    it('should invalidate a record changed by another process', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.get({id});
+      // simulate another process by bypassing the `clients` API
+      const collection = database.collections[clients.COLLECTION_NAME];
+      await collection.updateOne({'client.id': id}, {
+        $set: {'client.sequence': 1, 'meta.updated': Date.now()}
+      });
+      let record;
+      for(let i = 0; i < 50; ++i) {
+        record = await clients.get({id});
+        if(record.client.sequence === 1) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      record.client.sequence.should.equal(1);
+    });
+  });
+
+  describe('lifecycle events', () => {
+    const NAMESPACE = 'basic-authz-server-storage';
+    // listeners can't be removed, so they only act on tracked client IDs
+    const tracked = new Map();
+    before(() => {
+      for(const name of [
+        'inserting', 'inserted', 'updating', 'updated', 'removing', 'removed'
+      ]) {
+        bedrock.events.on(`${NAMESPACE}.client.${name}`, data => {
+          const state = tracked.get(data.id);
+          if(!state) {
+            return;
+          }
+          state.events.push({name, data});
+          if(state.veto === name) {
+            return false;
+          }
+          if(state.throw === name) {
+            throw new Error('Vetoed.');
+          }
+        });
+      }
+    });
+
+    it('should emit events on insert, update and remove', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: []};
+      tracked.set(id, state);
+      await clients.insert({
+        client: {id, sequence: 0, secretHash: mockRecord1.client.secretHash}
+      });
+      await clients.update({client: {id, sequence: 1}});
+      await clients.remove({id, sequence: 1});
+      state.events.map(({name}) => name).should.eql([
+        'inserting', 'inserted', 'updating', 'updated', 'removing', 'removed'
+      ]);
+      const [inserting, , updating, , removing] = state.events;
+      inserting.data.operation.should.equal('insert');
+      inserting.data.sequence.should.equal(0);
+      should.not.exist(inserting.data.oldRecord);
+      should.not.exist(inserting.data.newRecord.client.secretHash);
+      updating.data.operation.should.equal('update');
+      updating.data.sequence.should.equal(1);
+      updating.data.oldRecord.client.sequence.should.equal(0);
+      updating.data.newRecord.client.sequence.should.equal(1);
+      removing.data.operation.should.equal('remove');
+      removing.data.oldRecord.client.sequence.should.equal(1);
+      should.not.exist(removing.data.newRecord);
+    });
+
+    it('should emit seeded clients as managed on insert', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: []};
+      tracked.set(id, state);
+      await clients.seed({clients: [{id}]});
+      const [inserting] = state.events;
+      inserting.name.should.equal('inserting');
+      inserting.data.newRecord.meta.managed.should.equal(true);
+    });
+
+    it('should emit update events on revoke', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: []};
+      tracked.set(id, state);
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.revoke({id, sequence: 0, reason: 'test'});
+      const [, , updating, updated] = state.events;
+      updating.name.should.equal('updating');
+      updating.data.operation.should.equal('revoke');
+      updating.data.newRecord.client.sequence.should.equal(1);
+      updating.data.newRecord.meta.status.should.equal('disabled');
+      updating.data.newRecord.meta.revoked.reason.should.equal('test');
+      updated.data.newRecord.should.eql(updating.data.newRecord);
+    });
+
+    it('should emit the new record on expiration and status changes',
+      async () => {
+        const id = crypto.randomUUID();
+        const state = {events: []};
+        tracked.set(id, state);
+        await clients.insert({client: {id, sequence: 0}});
+        const expires = Date.now() + 60000;
+        await clients.setExpiration({id, sequence: 0, expires});
+        await clients.suspend({id, reason: 'incident'});
+        await clients.reactivate({id});
+        const updating = state.events.filter(({name}) => name === 'updating');
+        const updated = state.events.filter(({name}) => name === 'updated');
+        updating.map(({data}) => data.operation).should.eql([
+          'setExpiration', 'suspend', 'reactivate'
+        ]);
+        updating[0].data.newRecord.meta.expires.should.equal(expires);
+        updating[1].data.newRecord.meta.status.should.equal('suspended');
+        updating[1].data.newRecord.meta.suspended.reason.should.equal(
+          'incident');
+        updating[2].data.newRecord.meta.status.should.equal('active');
+        should.not.exist(updating[2].data.newRecord.meta.suspended);
+        for(const [i, {data}] of updating.entries()) {
+          data.newRecord.client.sequence.should.equal(i + 1);
+          data.newRecord.should.eql(updated[i].data.newRecord);
+        }
+      });
+
+    it('should only emit scope changes that will happen', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: []};
+      tracked.set(id, state);
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      await clients.grantScopes({id, scopes: ['read:/a']});
+      await clients.revokeScopes({id, scopes: ['write:/a']});
+      state.events.map(({name}) => name).should.eql(['inserting', 'inserted']);
+
+      await clients.grantScopes({id, scopes: ['write:/a']});
+      const [, , updating, updated] = state.events;
+      updating.data.operation.should.equal('grantScopes');
+      updating.data.newRecord.client.should.eql(
+        {id, sequence: 1, allowedScopes: ['read:/a', 'write:/a']});
+      updated.data.newRecord.should.eql(updating.data.newRecord);
+    });
+
+    it('should retry scope changes after a concurrent change', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: []};
+      tracked.set(id, state);
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      // change the record concurrently the first time a change is emitted
+      bedrock.events.on(
+        `${NAMESPACE}.client.updating`, async data => {
+          if(data.id !== id || data.operation !== 'grantScopes' ||
+            data.sequence !== 1) {
+            return;
+          }
+          const collection = database.collections[clients.COLLECTION_NAME];
+          await collection.updateOne({'client.id': id}, {
+            $set: {'client.audience': 'https://example.com'},
+            $inc: {'client.sequence': 1}
+          });
+        });
+      const record = await clients.grantScopes({id, scopes: ['write:/a']});
+      record.client.should.eql({
+        id, sequence: 2, audience: 'https://example.com',
+        allowedScopes: ['read:/a', 'write:/a']
+      });
+      const updating = state.events.filter(({name}) => name === 'updating');
+      updating.map(({data}) => data.sequence).should.eql([1, 2]);
+    });
+
+    it('should veto an insert when a listener returns false', async () => {
+      const id = crypto.randomUUID();
+      tracked.set(id, {events: [], veto: 'inserting'});
+      let err;
+      try {
+        await clients.insert({client: {id, sequence: 0}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.operation.should.equal('insert');
+      let notFound;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        notFound = e;
+      }
+      notFound.name.should.equal('NotFoundError');
+    });
+
+    it('should veto an update when a listener throws', async () => {
+      const id = crypto.randomUUID();
+      tracked.set(id, {events: [], throw: 'updating'});
+      await clients.insert({client: {id, sequence: 0}});
+      let err;
+      try {
+        await clients.update({client: {id, sequence: 1}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Vetoed.');
+      const record = await clients.get({id});
+      record.client.sequence.should.equal(0);
+    });
+
+    it('should not fail a change when an "after" listener throws', async () => {
+      const id = crypto.randomUUID();
+      const state = {events: [], throw: 'removed'};
+      tracked.set(id, state);
+      await clients.insert({client: {id, sequence: 0}});
+      const result = await clients.remove({id, sequence: 0});
+      result.should.equal(true);
+    });
+  });
+
+  describe('createOAuth2ClientLoader()', () => {
+    let configClient;
+    before(() => {
+      const {clients: configClients} =
+        bedrock.config['basic-authz-server'].authorization.oauth2;
+      configClient = configClients.authorizedClient;
+    });
+
+    it('should load a client from config first', async () => {
+      const getOAuth2Client = clients.createOAuth2ClientLoader();
+      const client = await getOAuth2Client({clientId: configClient.id});
+      client.id.should.equal(configClient.id);
+    });
+
+    it('should fall back to the database', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const getOAuth2Client = clients.createOAuth2ClientLoader();
+      const client = await getOAuth2Client({clientId: id});
+      client.should.eql({id, sequence: 0});
+    });
+
+    it('should load a client from the database first', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const getOAuth2Client = clients.createOAuth2ClientLoader({
+        precedence: 'database'
+      });
+      const client = await getOAuth2Client({clientId: id});
+      client.should.eql({id, sequence: 0});
+      const client2 = await getOAuth2Client({clientId: configClient.id});
+      client2.id.should.equal(configClient.id);
+    });
+
+    it('should not use config with "database-only"', async () => {
+      const getOAuth2Client = clients.createOAuth2ClientLoader({
+        precedence: 'database-only'
+      });
+      let err;
+      try {
+        await getOAuth2Client({clientId: configClient.id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should not fall back when a client is revoked', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.revoke({id, sequence: 0});
+      const getOAuth2Client = clients.createOAuth2ClientLoader();
+      let err;
+      try {
+        await getOAuth2Client({clientId: id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('should error when an invalid "precedence" is passed', async () => {
+      let err;
+      try {
+        clients.createOAuth2ClientLoader({precedence: 'invalid'});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('recordUsage()', () => {
+    const usageConfig = bedrock.config['basic-authz-server-storage'].usage;
+    let throttleInterval;
+    beforeEach(() => {
+      ({throttleInterval} = usageConfig);
+    });
+    afterEach(() => {
+      usageConfig.throttleInterval = throttleInterval;
+    });
+
+    it('should record usage without changing sequence', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const written = await clients.recordUsage({
+        id, event: {type: 'token', ip: '10.0.0.1'}
+      });
+      written.should.equal(true);
+      const record = await clients.get({id, useCache: false});
+      record.client.sequence.should.equal(0);
+      record.meta.usage.tokenCount.should.equal(1);
+      record.meta.usage.lastIp.should.equal('10.0.0.1');
+      record.meta.usage.lastUsed.should.be.a('number');
+      const snapshots = await history.getAll({id});
+      snapshots.length.should.equal(1);
+    });
+
+    it('should throttle writes and accumulate usage', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      usageConfig.throttleInterval = 60 * 1000;
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(true);
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(false);
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(false);
+      let record = await clients.get({id, useCache: false});
+      record.meta.usage.tokenCount.should.equal(1);
+
+      usageConfig.throttleInterval = 0;
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(true);
+      record = await clients.get({id, useCache: false});
+      record.meta.usage.tokenCount.should.equal(4);
+    });
+
+    it('should return false for a client that is not stored', async () => {
+      const written = await clients.recordUsage({
+        id: crypto.randomUUID(), event: {type: 'token'}
+      });
+      written.should.equal(false);
+    });
+
+    it('should not track usage for a client that is not stored', async () => {
+      const id = crypto.randomUUID();
+      usageConfig.throttleInterval = 60 * 1000;
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(false);
+      await clients.insert({client: {id, sequence: 0}});
+      (await clients.recordUsage({id, event: {type: 'token'}}))
+        .should.equal(true);
+      const record = await clients.get({id, useCache: false});
+      record.meta.usage.tokenCount.should.equal(1);
+    });
+
+    it('should find clients unused since a given time', async () => {
+      usageConfig.throttleInterval = 0;
+      const usedId = crypto.randomUUID();
+      const unusedId = crypto.randomUUID();
+      await clients.insert({client: {id: usedId, sequence: 0}});
+      await clients.insert({client: {id: unusedId, sequence: 0}});
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const since = Date.now();
+      await clients.recordUsage({id: usedId, event: {type: 'token'}});
+      const records = await clients.findUnused({since});
+      const ids = records.map(({client}) => client.id);
+      ids.should.include(unusedId);
+      ids.should.not.include(usedId);
+    });
+
+    it('should use an index to find unused clients', async () => {
+      const {executionStats} = await clients.findUnused({
+        since: Date.now(), explain: true
+      });
+      JSON.stringify(executionStats).should.not.include('COLLSCAN');
+    });
+  });
+
+  describe('checkAndConsume()', () => {
+    const rateLimitsConfig =
+      bedrock.config['basic-authz-server-storage'].rateLimits;
+    let defaults;
+    beforeEach(() => {
+      ({defaults} = rateLimitsConfig);
+    });
+    afterEach(() => {
+      rateLimitsConfig.defaults = defaults;
+    });
+
+    it('should allow a client without limits', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const result = await clients.checkAndConsume({id});
+      result.should.eql({allowed: true});
+    });
+
+    it('should enforce a client\'s limits', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, rateLimits: {tokensPerDay: 2}}
+      });
+      const result1 = await clients.checkAndConsume({id});
+      result1.allowed.should.equal(true);
+      result1.remaining.should.equal(1);
+      const result2 = await clients.checkAndConsume({id});
+      result2.allowed.should.equal(true);
+      result2.remaining.should.equal(0);
+      const result3 = await clients.checkAndConsume({id});
+      result3.allowed.should.equal(false);
+      result3.remaining.should.equal(0);
+      result3.retryAfter.should.be.within(1, 24 * 60 * 60);
+      result3.reset.should.be.above(Date.now());
+    });
+
+    it('should enforce limits with a sliding window', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id, sequence: 0,
+          rateLimits: {tokensPerMinute: 1, window: 'sliding'}
+        }
+      });
+      (await clients.checkAndConsume({id})).allowed.should.equal(true);
+      (await clients.checkAndConsume({id})).allowed.should.equal(false);
+    });
+
+    it('should apply config defaults', async () => {
+      rateLimitsConfig.defaults = {tokensPerMinute: 5, tokensPerDay: 1};
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, rateLimits: {tokensPerDay: 2}}
+      });
+      const result1 = await clients.checkAndConsume({id});
+      result1.allowed.should.equal(true);
+      result1.remaining.should.equal(1);
+      (await clients.checkAndConsume({id})).allowed.should.equal(true);
+      (await clients.checkAndConsume({id})).allowed.should.equal(false);
+    });
+
+    it('should apply config defaults to clients not stored', async () => {
+      rateLimitsConfig.defaults = {tokensPerDay: 1};
+      const id = crypto.randomUUID();
+      (await clients.checkAndConsume({id})).allowed.should.equal(true);
+      (await clients.checkAndConsume({id})).allowed.should.equal(false);
+    });
+
+    it('should reject invalid client rate limits', async () => {
+      let err;
+      try {
+        await clients.insert({
+          client: {
+            id: crypto.randomUUID(), sequence: 0,
+            rateLimits: {tokensPerHour: 1}
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('ValidationError');
+    });
   });
 
-  describe('get()', () => {
-    it('should get a record', async () => {
+  describe('suspend()', () => {
+    it('should suspend and reactivate a client', async () => {
       const id = crypto.randomUUID();
-      const record1 = await clients.insert({
-        client: {
-          id,
-          sequence: 0
-        }
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/foo']}
       });
-      const record2 = await clients.get({id});
-      record1.should.eql(record2);
+      const suspended = await clients.suspend({id, reason: 'Incident.'});
+      suspended.client.sequence.should.equal(1);
+      suspended.meta.status.should.equal('suspended');
+      suspended.meta.suspended.reason.should.equal('Incident.');
+
+      let err;
+      try {
+        await clients.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.suspended.should.equal(true);
+      err.details.public.should.equal(true);
+
+      const record = await clients.get({id, includeSuspended: true});
+      record.meta.status.should.equal('suspended');
+
+      const reactivated = await clients.reactivate({id});
+      reactivated.client.sequence.should.equal(2);
+      reactivated.meta.status.should.equal('active');
+      should.not.exist(reactivated.meta.suspended);
+      const {client} = await clients.get({id});
+      client.allowedScopes.should.eql(['read:/foo']);
     });
 
-    it('should error when no "id" is passed', async () => {
+    it('should automatically reactivate a client after "until"', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.suspend({id, until: Date.now() + 100});
       let err;
       try {
-        await clients.get();
+        await clients.get({id});
       } catch(e) {
         err = e;
       }
-      err.message.should.include('id (string) is required');
+      should.exist(err);
+      err.details.until.should.be.a('number');
+      await new Promise(resolve => setTimeout(resolve, 150));
+      const record = await clients.get({id});
+      record.client.id.should.equal(id);
+      const records = await clients.find({
+        filter: {idPrefix: id, status: 'active'}
+      });
+      records.length.should.equal(1);
     });
 
-    it('should get not found error', async () => {
+    it('should not suspend a revoked client', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.revoke({id, sequence: 0});
       let err;
       try {
-        await clients.get({
-          id: crypto.randomUUID()
-        });
+        await clients.suspend({id});
       } catch(e) {
         err = e;
       }
-      err.name.should.equal('NotFoundError');
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      err.details.status.should.equal('disabled');
     });
-  });
 
-  describe('update()', () => {
-    it('should update a record', async () => {
+    it('should treat reactivating an active client as a no-op', async () => {
       const id = crypto.randomUUID();
-      const record1 = await clients.insert({
-        client: {
-          id,
-          sequence: 0
-        }
-      });
+      await clients.insert({client: {id, sequence: 0}});
+      const record = await clients.reactivate({id});
+      record.client.sequence.should.equal(0);
+    });
 
-      // now update
-      await clients.update({
-        client: {
-          id,
-          sequence: 1
-        }
-      });
-      const record2 = await clients.get({id});
-      record1.should.not.eql(record2);
-      const expectedRecord2 = {
-        ...record2,
-        client: {...record1.client, sequence: 1}
-      };
-      record2.should.eql(expectedRecord2);
+    it('should surface a suspension via a client loader', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.suspend({id});
+      const getOAuth2Client = clients.createOAuth2ClientLoader();
+      let err;
+      try {
+        await getOAuth2Client({clientId: id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.suspended.should.equal(true);
+    });
 
-      // should fetch the same record again
-      const record3 = await clients.get({id});
-      record2.should.eql(record3);
+    it('should find and count clients by status', async () => {
+      const activeId = crypto.randomUUID();
+      const suspendedId = crypto.randomUUID();
+      const disabledId = crypto.randomUUID();
+      for(const id of [activeId, suspendedId, disabledId]) {
+        await clients.insert({client: {id, sequence: 0}});
+      }
+      await clients.suspend({id: suspendedId});
+      await clients.revoke({id: disabledId, sequence: 0});
+      const ids = [activeId, suspendedId, disabledId];
+      const query = {'client.id': {$in: ids}};
+      for(const [status, id] of [
+        ['active', activeId],
+        ['suspended', suspendedId],
+        ['disabled', disabledId]
+      ]) {
+        const filter = {status};
+        const records = await clients.find({raw: true, query, filter});
+        records.map(({client}) => client.id).should.eql([id]);
+        (await clients.count({raw: true, query, filter})).should.equal(1);
+      }
     });
+  });
 
-    it('should error when no "client" is passed', async () => {
+  describe('expiration', () => {
+    it('should not get an expired record', async () => {
+      const id = crypto.randomUUID();
+      const expires = Date.now() - 1000;
+      await clients.insert({client: {id, sequence: 0}, expires});
       let err;
       try {
-        await clients.update();
+        await clients.get({id});
       } catch(e) {
         err = e;
       }
-      err.message.should.include('client (object) is required');
+      err.name.should.equal('NotAllowedError');
+      err.details.expired.should.equal(true);
+
+      const record = await clients.get({id, includeExpired: true});
+      record.meta.expires.should.equal(expires);
+      record.meta.purgeAt.should.be.a('date');
     });
 
-    it('should error when no "client.id" is passed', async () => {
+    it('should get a record that has not yet expired', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0}, expires: Date.now() + 60000
+      });
+      const record = await clients.get({id});
+      record.client.id.should.equal(id);
+    });
+
+    it('should extend an expiration', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0}, expires: Date.now() - 1000
+      });
+      const expires = Date.now() + 60000;
+      await clients.setExpiration({id, sequence: 0, expires});
+      const record = await clients.get({id});
+      record.client.sequence.should.equal(1);
+      record.meta.expires.should.equal(expires);
+    });
+
+    it('should clear an expiration', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0}, expires: Date.now() - 1000
+      });
+      await clients.setExpiration({id, sequence: 0, expires: null});
+      const record = await clients.get({id});
+      record.client.sequence.should.equal(1);
+      should.not.exist(record.meta.expires);
+      should.not.exist(record.meta.purgeAt);
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
       let err;
       try {
-        await clients.update({
-          client: {}
-        });
+        await clients.setExpiration({id, sequence: 1, expires: Date.now()});
       } catch(e) {
         err = e;
       }
-      err.message.should.include('client.id (string) is required');
+      err.name.should.equal('InvalidStateError');
     });
+  });
 
-    it('should error when no "client.sequence" is passed', async () => {
+  describe('secret rotation', () => {
+    const oldHash = mockRecord1.client.secretHash;
+    const newHash = mockRecord2.client.secretHash;
+
+    it('should rotate a secret and keep the previous one active', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          secretHash: oldHash
+        }
+      });
+      const secret = await clients.rotateSecret({
+        id, sequence: 0, secretHash: newHash, gracePeriod: 60000
+      });
+      secret.secretHash.should.equal(newHash);
+      secret.id.should.be.a('string');
+
+      const {client} = await clients.get({id});
+      client.sequence.should.equal(1);
+      client.secretHash.should.equal(newHash);
+      clients.getActiveSecretHashes({client}).should.eql([oldHash, newHash]);
+
+      const secrets = await clients.getSecrets({id});
+      secrets.length.should.equal(2);
+      secrets[0].expires.should.be.a('number');
+      should.not.exist(secrets[1].expires);
+    });
+
+    it('should not return expired secrets', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          secretHash: oldHash
+        }
+      });
+      await clients.rotateSecret({
+        id, sequence: 0, secretHash: newHash, gracePeriod: 0
+      });
+      const {client} = await clients.get({id});
+      clients.getActiveSecretHashes({client}).should.eql([newHash]);
+      const secrets = await clients.getSecrets({id});
+      secrets.map(s => s.secretHash).should.eql([newHash]);
+    });
+
+    it('should retire a secret', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          secretHash: oldHash
+        }
+      });
+      const secret = await clients.rotateSecret({
+        id, sequence: 0, secretHash: newHash
+      });
+      await clients.retireSecret({id, sequence: 1, secretId: secret.id});
+      const {client} = await clients.get({id});
+      client.sequence.should.equal(2);
+      client.secretHash.should.equal(oldHash);
+      clients.getActiveSecretHashes({client}).should.eql([oldHash]);
+    });
+
+    it('should error when retiring the last active secret', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          secretHash: oldHash
+        }
+      });
       let err;
       try {
-        const id = crypto.randomUUID();
-        await clients.update({
-          client: {
-            id
-          }
-        });
+        await clients.retireSecret({id, sequence: 0, secretId: id});
       } catch(e) {
         err = e;
       }
-      err.message.should.include('client.sequence (number) is required');
+      err.name.should.equal('NotAllowedError');
     });
 
     it('should error when wrong "sequence" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          secretHash: oldHash
+        }
+      });
       let err;
       try {
-        const id = crypto.randomUUID();
-        await clients.insert({
-          client: {
-            id,
-            sequence: 0
-          }
-        });
-        await clients.update({
-          client: {
-            id,
-            sequence: 2
-          }
-        });
+        await clients.rotateSecret({id, sequence: 1, secretHash: newHash});
       } catch(e) {
         err = e;
       }
@@ -202,13 +2157,26 @@ describe('API', () => {
   });
 });
 
-describe('integration w/basic-authz-server', () => {
+helpers.describeBackends('integration w/basic-authz-server', ({backend}) => {
   const target = '/test-authorize-request';
-  let clients;
+  const customClientId = '5f4e027b-efb1-4bf4-b741-69d16338e47e';
+  let configClients;
   let url;
-  before(() => {
-    ({clients} = bedrock.config['basic-authz-server'].authorization.oauth2);
+  before(async () => {
+    ({clients: configClients} =
+      bedrock.config['basic-authz-server'].authorization.oauth2);
     url = `${bedrock.config.server.baseUri}/openid/token`;
+    // the client inserted at startup is only stored in the default backend
+    if(backend !== 'mongodb') {
+      await clients.insert({
+        client: {
+          id: customClientId,
+          sequence: 0,
+          allowedScopes: [`read:${target}`],
+          secretHash: clients.hashSecret({secret: customClientId})
+        }
+      });
+    }
   });
 
   it('succeeds when requesting one authorized scope', async () => {
@@ -217,8 +2185,8 @@ describe('integration w/basic-authz-server', () => {
     try {
       result = await helpers.requestOAuth2AccessToken({
         url,
-        clientId: clients.authorizedClient.id,
-        secret: clients.authorizedClient.id,
+        clientId: configClients.authorizedClient.id,
+        secret: configClients.authorizedClient.id,
         requestedScopes: [`read:${target}`]
       });
     } catch(e) {
@@ -234,8 +2202,8 @@ describe('integration w/basic-authz-server', () => {
     try {
       result = await helpers.requestOAuth2AccessToken({
         url,
-        clientId: clients.authorizedClient.id,
-        secret: clients.authorizedClient.id,
+        clientId: configClients.authorizedClient.id,
+        secret: configClients.authorizedClient.id,
         requestedScopes: [`read:${target}`, `write:${target}`]
       });
     } catch(e) {
@@ -251,8 +2219,8 @@ describe('integration w/basic-authz-server', () => {
     try {
       result = await helpers.requestOAuth2AccessToken({
         url,
-        clientId: clients.authorizedClient.id,
-        secret: clients.authorizedClient.id,
+        clientId: configClients.authorizedClient.id,
+        secret: configClients.authorizedClient.id,
         requestedScopes: [`read:/`]
       });
     } catch(e) {
@@ -269,8 +2237,8 @@ describe('integration w/basic-authz-server', () => {
     try {
       result = await helpers.requestOAuth2AccessToken({
         url,
-        clientId: clients.unauthorizedClient.id,
-        secret: clients.unauthorizedClient.id,
+        clientId: configClients.unauthorizedClient.id,
+        secret: configClients.unauthorizedClient.id,
         requestedScopes: [`read:${target}`]
       });
     } catch(e) {
@@ -286,8 +2254,8 @@ describe('integration w/basic-authz-server', () => {
       data: {access_token: accessToken}
     } = await helpers.requestOAuth2AccessToken({
       url,
-      clientId: clients.authorizedClient.id,
-      secret: clients.authorizedClient.id,
+      clientId: configClients.authorizedClient.id,
+      secret: configClients.authorizedClient.id,
       requestedScopes: [`read:${target}`]
     });
     let err;
@@ -305,7 +2273,6 @@ describe('integration w/basic-authz-server', () => {
     result.data.should.deep.equal({success: true});
   });
   it('succeeds using database to fetch client', async () => {
-    const customClientId = '5f4e027b-efb1-4bf4-b741-69d16338e47e';
     const {
       data: {access_token: accessToken}
     } = await helpers.requestOAuth2AccessToken({
@@ -328,6 +2295,120 @@ describe('integration w/basic-authz-server', () => {
     should.exist(result);
     result.data.should.deep.equal({success: true});
   });
+  it('succeeds using a client from create()', async () => {
+    const {record, secret} = await clients.create({
+      allowedScopes: [`read:${target}`]
+    });
+    let err;
+    let result;
+    try {
+      result = await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: record.client.id,
+        secret,
+        requestedScopes: [`read:${target}`]
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.data.access_token.should.be.a('string');
+  });
+  it('succeeds using a previous secret during rotation', async () => {
+    const {record, secret: oldSecret} = await clients.create({
+      allowedScopes: [`read:${target}`]
+    });
+    const {id} = record.client;
+    const newSecret = crypto.randomUUID();
+    await clients.rotateSecret({
+      id, sequence: 0, secretHash: clients.hashSecret({secret: newSecret})
+    });
+    for(const secret of [oldSecret, newSecret]) {
+      let err;
+      let result;
+      try {
+        result = await helpers.requestOAuth2AccessToken({
+          url,
+          clientId: id,
+          secret,
+          requestedScopes: [`read:${target}`]
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.data.access_token.should.be.a('string');
+    }
+
+    // old secret stops working once it is retired
+    const [{id: secretId}] = await clients.getSecrets({id});
+    await clients.retireSecret({id, sequence: 1, secretId});
+    let err;
+    let result;
+    try {
+      result = await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: id,
+        secret: oldSecret,
+        requestedScopes: [`read:${target}`]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+  });
+  it('fails when client in database is revoked', async () => {
+    // `revoke()` requires the "mongodb" backend, so store a revoked record
+    const {record, secret} = helpers.createRecord({
+      allowedScopes: [`read:${target}`]
+    });
+    const {id} = record.client;
+    record.meta.status = 'disabled';
+    record.meta.revoked = {date: Date.now()};
+    await helpers.insertRecord({record});
+    let err;
+    let result;
+    try {
+      result = await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: id,
+        secret,
+        requestedScopes: [`read:${target}`]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(403);
+    err.data.error.should.equal('not_allowed_error');
+  });
+  it('fails when client in database is suspended', async () => {
+    // `suspend()` requires the "mongodb" backend, so store a suspended record
+    const {record, secret} = helpers.createRecord({
+      allowedScopes: [`read:${target}`]
+    });
+    record.meta.status = 'suspended';
+    record.meta.suspended = {date: Date.now()};
+    await helpers.insertRecord({record});
+    let err;
+    let result;
+    try {
+      result = await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: record.client.id,
+        secret,
+        requestedScopes: [`read:${target}`]
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.status.should.equal(403);
+    err.data.error.should.equal('not_allowed_error');
+  });
   it('fails when client is not found in database', async () => {
     let err;
     let result;
@@ -375,6 +2456,7 @@ describe('Client Record Index Tests', function() {
   it('is properly indexed for query of ' +
     `'client.audience' in find()`, async function() {
     const {executionStats} = await clients.find({
+      raw: true,
       query: {'client.audience': mockRecord1.client.audience},
       options: {
         projection: {_id: 0, 'client.audience': 1}
@@ -389,4 +2471,72 @@ describe('Client Record Index Tests', function() {
     executionStats.executionStages.inputStage
       .keyPattern.should.eql({'client.audience': 1});
   });
+  it('is properly indexed for filter of ' +
+    `'scope' in find()`, async function() {
+    const {executionStats} = await clients.find({
+      filter: {scope: mockRecord1.client.allowedScopes[0]},
+      explain: true
+    });
+    assertIndexUsed({
+      explain: {executionStats}, keyPattern: {'client.allowedScopes': 1}
+    });
+  });
+  it('is properly indexed for filter of ' +
+    `'idPrefix' in find()`, async function() {
+    const {executionStats} = await clients.find({
+      filter: {idPrefix: mockRecord1.client.id.slice(0, 8)},
+      explain: true
+    });
+    executionStats.totalKeysExamined.should.be.below(3);
+    assertIndexUsed({
+      explain: {executionStats}, keyPattern: {'client.id': 1}
+    });
+  });
+  it('is properly indexed for exact match of ' +
+    `'client.allowedScopes' in findByScope()`, async function() {
+    const [scope] = mockRecord1.client.allowedScopes;
+    const [action, target] = scope.split(':');
+    const explain = await clients.findByScope({
+      action, target, explain: true
+    });
+    const {executionStats} = explain;
+    executionStats.nReturned.should.equal(1);
+    executionStats.totalKeysExamined.should.equal(1);
+    executionStats.totalDocsExamined.should.equal(1);
+    assertIndexUsed({explain, keyPattern: {'client.allowedScopes': 1}});
+  });
+  it('is properly indexed for prefix match of ' +
+    `'client.allowedScopes' in findByScope()`, async function() {
+    const explain = await clients.findByScope({
+      action: 'read', target: '/test', match: 'prefix', explain: true
+    });
+    const {executionStats} = explain;
+    executionStats.nReturned.should.equal(1);
+    executionStats.totalDocsExamined.should.equal(1);
+    const stage = assertIndexUsed({
+      explain, keyPattern: {'client.allowedScopes': 1}
+    });
+    stage.isMultiKey.should.equal(true);
+  });
+  it('has a TTL index on \'meta.purgeAt\'', async function() {
+    const collection = database.collections[clients.COLLECTION_NAME];
+    const indexes = await collection.indexes();
+    const index = indexes.find(
+      ({key}) => Object.keys(key).join() === 'meta.purgeAt');
+    should.exist(index);
+    index.expireAfterSeconds.should.equal(0);
+  });
+  it('is properly indexed for sort of ' +
+    `'meta.created' in findPage()`, async function() {
+    const {executionStats} = await clients.findPage({
+      sortBy: 'created', limit: 1, explain: true
+    });
+    executionStats.nReturned.should.equal(2);
+    executionStats.totalKeysExamined.should.equal(2);
+    executionStats.totalDocsExamined.should.equal(2);
+    executionStats.executionStages.inputStage.inputStage.inputStage.stage
+      .should.equal('IXSCAN');
+    executionStats.executionStages.inputStage.inputStage.inputStage
+      .keyPattern.should.eql({'meta.created': 1, 'client.id': 1});
+  });
 });
@@ -0,0 +1,226 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {clients, history} from '@bedrock/basic-authz-server-storage';
+import {mockRecord1, mockRecord2} from './mock.data.js';
+import crypto from 'node:crypto';
+
+describe('History', () => {
+  describe('getAll()', () => {
+    it('should record a snapshot for each change', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {
+          id,
+          sequence: 0,
+          allowedScopes: ['read:/a']
+        },
+        actor: 'admin',
+        reason: 'Onboarding.'
+      });
+      await clients.update({
+        client: {
+          id,
+          sequence: 1,
+          allowedScopes: ['read:/a', 'write:/a']
+        },
+        actor: 'admin'
+      });
+      const records = await history.getAll({id});
+      records.length.should.equal(2);
+      records[0].client.sequence.should.equal(0);
+      records[0].client.allowedScopes.should.eql(['read:/a']);
+      records[0].meta.actor.should.equal('admin');
+      records[0].meta.reason.should.equal('Onboarding.');
+      records[1].client.sequence.should.equal(1);
+      records[1].client.allowedScopes.should.eql(['read:/a', 'write:/a']);
+      should.not.exist(records[1].meta.reason);
+    });
+
+    it('should record a snapshot on revocation', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      await clients.revoke({id, sequence: 0, reason: 'Compromised.'});
+      const records = await history.getAll({id});
+      records.length.should.equal(2);
+      records[1].client.sequence.should.equal(1);
+      records[1].meta.reason.should.equal('Compromised.');
+    });
+
+    it('should not include snapshots of a removed record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      await clients.update({
+        client: {id, sequence: 1, allowedScopes: ['write:/a']}
+      });
+      await clients.remove({id, sequence: 1});
+      (await history.getAll({id})).length.should.equal(0);
+
+      await clients.insert({client: {id, sequence: 0, allowedScopes: []}});
+      const records = await history.getAll({id});
+      records.length.should.equal(1);
+      records[0].client.allowedScopes.should.eql([]);
+
+      let err;
+      try {
+        await clients.rollback({
+          id, sequence: 0, toSequence: 1, restoreSecrets: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should replace snapshots of a purged record', async () => {
+      const id = crypto.randomUUID();
+      // a purged record's snapshots are left behind
+      await history.insert({
+        client: {id, sequence: 0, allowedScopes: ['read:/a']}
+      });
+      await history.insert({
+        client: {id, sequence: 1, allowedScopes: ['write:/a']}
+      });
+      await clients.insert({client: {id, sequence: 0, allowedScopes: []}});
+      const records = await history.getAll({id});
+      records.length.should.equal(1);
+      records[0].client.allowedScopes.should.eql([]);
+    });
+
+    it('should be properly indexed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const {executionStats} = await history.getAll({id, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+    });
+  });
+
+  describe('insert()', () => {
+    it('should ignore inserting the same snapshot again', async () => {
+      const client = {id: crypto.randomUUID(), sequence: 0};
+      await history.insert({client});
+      await history.insert({client: {...client}});
+      (await history.getAll({id: client.id})).length.should.equal(1);
+    });
+
+    it('should reject a different snapshot with the same sequence',
+      async () => {
+        const id = crypto.randomUUID();
+        await history.insert({client: {id, sequence: 0}});
+        let err;
+        try {
+          await history.insert({
+            client: {id, sequence: 0, allowedScopes: ['read:/a']}
+          });
+        } catch(e) {
+          err = e;
+        }
+        err.name.should.equal('DuplicateError');
+      });
+  });
+
+  describe('get()', () => {
+    it('should get a snapshot', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0, allowedScopes: []}});
+      await clients.update({
+        client: {id, sequence: 1, allowedScopes: ['read:/a']}
+      });
+      const record = await history.get({id, sequence: 0});
+      record.client.should.eql({id, sequence: 0, allowedScopes: []});
+    });
+
+    it('should get not found error', async () => {
+      let err;
+      try {
+        await history.get({id: crypto.randomUUID(), sequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('clients.rollback()', () => {
+    it('should roll back to a previous snapshot', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0, allowedScopes: []}});
+      await clients.update({
+        client: {id, sequence: 1, allowedScopes: ['read:/a']}
+      });
+      const client = await clients.rollback({
+        id, sequence: 1, toSequence: 0, actor: 'admin'
+      });
+      client.should.eql({id, sequence: 2, allowedScopes: []});
+      const record = await clients.get({id});
+      record.client.should.eql(client);
+
+      const records = await history.getAll({id});
+      records.length.should.equal(3);
+      records[2].meta.reason.should.equal('Rollback to sequence 0.');
+    });
+
+    it('should keep the current secrets', async () => {
+      const id = crypto.randomUUID();
+      const oldHash = mockRecord1.client.secretHash;
+      const newHash = mockRecord2.client.secretHash;
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: [], secretHash: oldHash}
+      });
+      await clients.resetSecret({id, sequence: 0});
+      await clients.rotateSecret({id, sequence: 1, secretHash: newHash});
+      const {client: current} = await clients.get({id});
+      const client = await clients.rollback({id, sequence: 2, toSequence: 0});
+      client.secretHash.should.equal(newHash);
+      client.secrets.should.eql(current.secrets);
+    });
+
+    it('should restore secrets if "restoreSecrets" is set', async () => {
+      const id = crypto.randomUUID();
+      const oldHash = mockRecord1.client.secretHash;
+      await clients.insert({
+        client: {id, sequence: 0, allowedScopes: [], secretHash: oldHash}
+      });
+      await clients.resetSecret({id, sequence: 0});
+      const client = await clients.rollback({
+        id, sequence: 1, toSequence: 0, restoreSecrets: true
+      });
+      client.secretHash.should.equal(oldHash);
+      should.not.exist(client.secrets);
+    });
+
+    it('should record secret rotation actor and reason', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({
+        client: {id, sequence: 0, secretHash: mockRecord1.client.secretHash}
+      });
+      await clients.rotateSecret({
+        id, sequence: 0, secretHash: mockRecord2.client.secretHash,
+        actor: 'admin'
+      });
+      await clients.retireSecret({
+        id, sequence: 1, secretId: id, actor: 'admin', reason: 'Leaked.'
+      });
+      const records = await history.getAll({id});
+      records[1].meta.actor.should.equal('admin');
+      records[1].meta.reason.should.equal('Secret rotated.');
+      records[2].meta.actor.should.equal('admin');
+      records[2].meta.reason.should.equal('Leaked.');
+    });
+
+    it('should error when wrong "sequence" is passed', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      let err;
+      try {
+        await clients.rollback({id, sequence: 1, toSequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {clients} from '@bedrock/basic-authz-server-storage';
+import crypto from 'node:crypto';
+import {mockRecord1} from './mock.data.js';
+
+describe('HTTP API', () => {
+  let baseUrl;
+  let readToken;
+  let writeToken;
+  before(async () => {
+    const {adminClient} =
+      bedrock.config['basic-authz-server'].authorization.oauth2.clients;
+    const url = `${bedrock.config.server.baseUri}/openid/token`;
+    const {basePath} = bedrock.config['basic-authz-server-storage'].routes;
+    baseUrl = `${bedrock.config.server.baseUri}${basePath}`;
+    ({data: {access_token: readToken}} =
+      await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: adminClient.id,
+        secret: adminClient.id,
+        requestedScopes: [`read:${basePath}`]
+      }));
+    ({data: {access_token: writeToken}} =
+      await helpers.requestOAuth2AccessToken({
+        url,
+        clientId: adminClient.id,
+        secret: adminClient.id,
+        requestedScopes: [`write:${basePath}`]
+      }));
+  });
+
+  async function createClient(client = {}, {accessToken = writeToken} = {}) {
+    const id = crypto.randomUUID();
+    const result = await helpers.doOAuth2Request({
+      url: baseUrl,
+      json: {
+        id,
+        allowedScopes: ['read:/test-authorize-request'],
+        secretHash: mockRecord1.client.secretHash,
+        ...client
+      },
+      accessToken
+    });
+    return {id, result};
+  }
+
+  it('creates a client', async () => {
+    const {id, result} = await createClient();
+    result.status.should.equal(201);
+    result.headers.get('location').should.equal(`${baseUrl}/${id}`);
+    result.data.client.id.should.equal(id);
+    result.data.client.sequence.should.equal(0);
+    should.not.exist(result.data.client.secretHash);
+  });
+
+  it('gets a client without its secret hash', async () => {
+    const {id} = await createClient();
+    const result = await helpers.doOAuth2Request({
+      url: `${baseUrl}/${id}`,
+      accessToken: readToken
+    });
+    result.data.client.id.should.equal(id);
+    should.not.exist(result.data.client.secretHash);
+  });
+
+  it('lists clients', async () => {
+    const audience = `https://localhost/${crypto.randomUUID()}`;
+    const {id} = await createClient({audience});
+    const result = await helpers.doOAuth2Request({
+      url: `${baseUrl}?audience=${encodeURIComponent(audience)}`,
+      accessToken: readToken
+    });
+    result.data.results.length.should.equal(1);
+    result.data.results[0].client.id.should.equal(id);
+    should.not.exist(result.data.results[0].client.secretHash);
+  });
+
+  it('lists clients a page at a time', async () => {
+    const audience = `https://localhost/${crypto.randomUUID()}`;
+    await createClient({audience});
+    await createClient({audience});
+    const url = `${baseUrl}?audience=${encodeURIComponent(audience)}`;
+    const result1 = await helpers.doOAuth2Request({
+      url: `${url}&limit=1`,
+      accessToken: readToken
+    });
+    result1.data.results.length.should.equal(1);
+    result1.data.cursor.should.be.a('string');
+    const result2 = await helpers.doOAuth2Request({
+      url: `${url}&limit=1&cursor=${result1.data.cursor}`,
+      accessToken: readToken
+    });
+    result2.data.results.length.should.equal(1);
+    result2.data.results[0].client.id.should.not.equal(
+      result1.data.results[0].client.id);
+  });
+
+  it('updates a client and preserves its secret', async () => {
+    const {id} = await createClient();
+    const result = await helpers.doOAuth2Request({
+      url: `${baseUrl}/${id}`,
+      json: {id, sequence: 1, allowedScopes: []},
+      accessToken: writeToken
+    });
+    result.data.client.sequence.should.equal(1);
+    result.data.client.allowedScopes.should.eql([]);
+
+    const {client} = await clients.get({id});
+    client.secretHash.should.equal(mockRecord1.client.secretHash);
+  });
+
+  it('fails to update a client with a stale sequence', async () => {
+    const {id} = await createClient();
+    let err;
+    try {
+      await helpers.doOAuth2Request({
+        url: `${baseUrl}/${id}`,
+        json: {id, sequence: 2},
+        accessToken: writeToken
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(409);
+  });
+
+  it('fails to update a client secret', async () => {
+    const {id} = await createClient();
+    let err;
+    try {
+      await helpers.doOAuth2Request({
+        url: `${baseUrl}/${id}`,
+        json: {id, sequence: 1, secretHash: mockRecord1.client.secretHash},
+        accessToken: writeToken
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+  });
+
+  it('fails to create a client without an id', async () => {
+    let err;
+    try {
+      await helpers.doOAuth2Request({
+        url: baseUrl,
+        json: {allowedScopes: []},
+        accessToken: writeToken
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('ValidationError');
+  });
+
+  it('fails to update an invalid client without leaking secrets', async () => {
+    const {id} = await createClient();
+    let err;
+    try {
+      await helpers.doOAuth2Request({
+        url: `${baseUrl}/${id}`,
+        json: {id, sequence: 1, allowedScopes: ['invalid']},
+        accessToken: writeToken
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(400);
+    err.data.name.should.equal('ValidationError');
+    JSON.stringify(err.data).should.not.contain(
+      mockRecord1.client.secretHash);
+  });
+
+  it('revokes a client', async () => {
+    const {id} = await createClient();
+    const result = await helpers.doOAuth2Request({
+      url: `${baseUrl}/${id}/revoke`,
+      json: {sequence: 0, reason: 'No longer needed.'},
+      accessToken: writeToken
+    });
+    result.data.meta.revoked.reason.should.equal('No longer needed.');
+    result.data.client.sequence.should.equal(1);
+  });
+
+  it('fails to create a client without write scope', async () => {
+    let err;
+    try {
+      await helpers.doOAuth2Request({
+        url: baseUrl,
+        json: {id: crypto.randomUUID()},
+        accessToken: readToken
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(403);
+  });
+
+  describe('w/configured admin scopes', () => {
+    let routesConfig;
+    let previousScopes;
+    before(() => {
+      routesConfig = bedrock.config['basic-authz-server-storage'].routes;
+      previousScopes = routesConfig.scopes;
+      routesConfig.scopes = {read: 'read:clients', write: 'admin:clients'};
+    });
+    after(() => {
+      routesConfig.scopes = previousScopes;
+    });
+
+    it('creates a client with the configured write scope', async () => {
+      const {basePath} = routesConfig;
+      const accessToken = await helpers.createOAuth2AccessToken({
+        scope: `write:${basePath} admin:clients`
+      });
+      const {result} = await createClient({}, {accessToken});
+      result.status.should.equal(201);
+    });
+
+    it('fails to create a client with only the default scope', async () => {
+      let err;
+      try {
+        await createClient();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+      err.data.name.should.equal('NotAllowedError');
+    });
+
+    it('gets a client with the configured read scope', async () => {
+      const {basePath} = routesConfig;
+      const writeAccessToken = await helpers.createOAuth2AccessToken({
+        scope: `write:${basePath} admin:clients`
+      });
+      const {id} = await createClient({}, {accessToken: writeAccessToken});
+      const accessToken = await helpers.createOAuth2AccessToken({
+        scope: `read:${basePath} read:clients`
+      });
+      const result = await helpers.doOAuth2Request({
+        url: `${baseUrl}/${id}`,
+        accessToken
+      });
+      result.data.client.id.should.equal(id);
+    });
+
+    it('fails to get a client with only the default scope', async () => {
+      let err;
+      try {
+        await helpers.doOAuth2Request({
+          url: `${baseUrl}/${crypto.randomUUID()}`,
+          accessToken: readToken
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+      err.data.name.should.equal('NotAllowedError');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {clients, migrations} from '@bedrock/basic-authz-server-storage';
+import crypto from 'node:crypto';
+
+describe('Migrations', () => {
+  let collection;
+  beforeEach(async () => {
+    await helpers.cleanDatabase();
+    collection = database.collections[clients.COLLECTION_NAME];
+  });
+
+  // inserts a record that predates schema versions
+  async function insertLegacyRecord({revoked = false} = {}) {
+    const id = crypto.randomUUID();
+    const meta = {created: Date.now(), updated: Date.now()};
+    if(revoked) {
+      meta.revoked = {date: Date.now()};
+    }
+    await collection.insertOne({client: {id, sequence: 0}, meta});
+    return id;
+  }
+
+  it('should stamp new records with the latest schema version', async () => {
+    const id = crypto.randomUUID();
+    const record = await clients.insert({client: {id, sequence: 0}});
+    record.meta.schemaVersion.should.equal(migrations.getLatestVersion());
+  });
+
+  it('should migrate a record when it is read', async () => {
+    const id = await insertLegacyRecord();
+    const record = await clients.get({id});
+    record.meta.schemaVersion.should.equal(migrations.getLatestVersion());
+    record.meta.status.should.equal('active');
+    record.client.sequence.should.equal(0);
+    const stored = await collection.findOne({'client.id': id});
+    stored.meta.schemaVersion.should.equal(migrations.getLatestVersion());
+  });
+
+  it('should report record counts in a dry run', async () => {
+    const id = await insertLegacyRecord();
+    await insertLegacyRecord({revoked: true});
+    await clients.insert({client: {id: crypto.randomUUID(), sequence: 0}});
+    const {locked, results} = await clients.migrate({dryRun: true});
+    locked.should.equal(false);
+    const [result] = results;
+    result.version.should.equal(1);
+    result.count.should.equal(2);
+    const stored = await collection.findOne({'client.id': id});
+    should.not.exist(stored.meta.schemaVersion);
+  });
+
+  it('should migrate all records that need it', async () => {
+    const id = await insertLegacyRecord();
+    const revokedId = await insertLegacyRecord({revoked: true});
+    const {locked, results} = await clients.migrate();
+    locked.should.equal(false);
+    results[0].count.should.equal(2);
+    let stored = await collection.findOne({'client.id': id});
+    stored.meta.status.should.equal('active');
+    stored.meta.schemaVersion.should.equal(1);
+    stored = await collection.findOne({'client.id': revokedId});
+    stored.meta.status.should.equal('disabled');
+    const {results: [{count}]} = await clients.migrate({dryRun: true});
+    count.should.equal(0);
+  });
+
+  it('should not migrate while another process holds the lock', async () => {
+    const id = await insertLegacyRecord();
+    const lockCollection = database.collections[
+      migrations.LOCK_COLLECTION_NAME];
+    await lockCollection.insertOne({
+      id: 'migrations', owner: 'other', expires: Date.now() + 60000
+    });
+    try {
+      const {locked, results} = await clients.migrate();
+      locked.should.equal(true);
+      results.should.eql([]);
+      const stored = await collection.findOne({'client.id': id});
+      should.not.exist(stored.meta.schemaVersion);
+    } finally {
+      await lockCollection.deleteMany({});
+    }
+  });
+
+  it('should reject a duplicate migration version', async () => {
+    let err;
+    try {
+      migrations.register({
+        version: 1, description: 'Duplicate.', migrate: ({record}) => record
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+});
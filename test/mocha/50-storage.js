@@ -0,0 +1,89 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {clients, storage} from '@bedrock/basic-authz-server-storage';
+import crypto from 'node:crypto';
+
+const storageConfig = bedrock.config['basic-authz-server-storage'].storage;
+
+describe('Storage', () => {
+  it('should reject an invalid backend', async () => {
+    let err;
+    try {
+      storage.registerBackend({name: 'invalid', backend: {}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceOf(TypeError);
+  });
+
+  describe('memory backend', () => {
+    let previousBackend;
+    before(async () => {
+      previousBackend = storageConfig.backend;
+      storageConfig.backend = 'memory';
+      await helpers.cleanDatabase();
+    });
+    after(async () => {
+      storageConfig.backend = previousBackend;
+      await helpers.cleanDatabase();
+    });
+
+    it('should not share state with a returned record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const record1 = await clients.get({id, useCache: false});
+      record1.client.sequence = 10;
+      const record2 = await clients.get({id, useCache: false});
+      record2.client.sequence.should.equal(0);
+    });
+
+    it('should modify a record', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const record = await clients.modify({
+        id,
+        mutate(client) {
+          client.allowedScopes = ['write:/foo'];
+        }
+      });
+      record.client.sequence.should.equal(1);
+    });
+
+    it('should reject operations that require "mongodb"', async () => {
+      const id = crypto.randomUUID();
+      await clients.insert({client: {id, sequence: 0}});
+      const operations = [
+        () => clients.remove({id, sequence: 0}),
+        () => clients.revoke({id, sequence: 0}),
+        () => clients.setExpiration({id, sequence: 0, expires: Date.now()}),
+        () => clients.suspend({id}),
+        () => clients.grantScopes({id, scopes: ['read:/foo']}),
+        () => clients.recordUsage({id, event: {type: 'token'}}),
+        () => clients.checkAndConsume({id}),
+        () => clients.insertMany({clients: [{id: `${id}-1`, sequence: 0}]}),
+        () => clients.findPage(),
+        () => clients.find({filter: {}, explain: true}),
+        () => clients.seed({clients: [], prune: true})
+      ];
+      for(const operation of operations) {
+        let err;
+        try {
+          await operation();
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.should.be.instanceOf(TypeError);
+        err.message.should.include('"mongodb" storage backend');
+      }
+      // the record is unchanged
+      const record = await clients.get({id, useCache: false});
+      record.client.sequence.should.equal(0);
+      record.meta.status.should.equal('active');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as testHelpers from '@bedrock/basic-authz-server-storage/test-helpers';
+import {clients} from '@bedrock/basic-authz-server-storage';
+
+describe('Test helpers', () => {
+  beforeEach(async () => {
+    await testHelpers.cleanDatabase();
+  });
+
+  it('should create a client with a known secret', async () => {
+    const {client, secret} = testHelpers.createClient({
+      secret: 'known-secret', allowedScopes: ['read:/foo']
+    });
+    secret.should.equal('known-secret');
+    client.sequence.should.equal(0);
+    client.allowedScopes.should.eql(['read:/foo']);
+    client.secretHash.should.equal(clients.hashSecret({secret}));
+  });
+
+  it('should insert a client with a known secret', async () => {
+    const {record, secret} = await testHelpers.insertClient({
+      audience: 'https://localhost/namespace'
+    });
+    const {id} = record.client;
+    const stored = await clients.get({id});
+    stored.client.audience.should.equal('https://localhost/namespace');
+    stored.client.secretHash.should.equal(clients.hashSecret({secret}));
+  });
+
+  it('should insert a record and clean the database', async () => {
+    const {record} = testHelpers.createRecord();
+    await testHelpers.insertRecord({record});
+    const {id} = record.client;
+    (await clients.get({id})).should.eql(record);
+    await testHelpers.cleanDatabase();
+    let err;
+    try {
+      await clients.get({id});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('should request an access token for a client', async () => {
+    const {adminClient} =
+      bedrock.config['basic-authz-server'].authorization.oauth2.clients;
+    const {basePath} = bedrock.config['basic-authz-server-storage'].routes;
+    const {data} = await testHelpers.requestOAuth2AccessToken({
+      url: `${bedrock.config.server.baseUri}/openid/token`,
+      clientId: adminClient.id,
+      // the secret of the admin client is its ID
+      secret: adminClient.id,
+      requestedScopes: [`read:${basePath}`]
+    });
+    data.access_token.should.be.a('string');
+  });
+
+  it('should assert that a query uses an index', async () => {
+    const {record} = await testHelpers.insertClient();
+    const explain = await clients.get({id: record.client.id, explain: true});
+    const stage = testHelpers.assertIndexUsed({
+      explain, keyPattern: {'client.id': 1}
+    });
+    stage.stage.should.equal('IXSCAN');
+    let err;
+    try {
+      testHelpers.assertIndexUsed({explain, keyPattern: {'meta.created': 1}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('AssertionError');
+  });
+});
@@ -2,25 +2,36 @@
  * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as database from '@bedrock/mongodb';
 import {
   _createOAuth2AccessToken, OAUTH2_ISSUER
 } from '@bedrock/basic-authz-server/lib/http/oauth2.js';
-import {clients} from '@bedrock/basic-authz-server-storage';
 import {httpClient} from '@digitalbazaar/http-client';
 import {httpsAgent} from '@bedrock/https-agent';
 
-export async function cleanDatabase() {
-  await database.collections[clients.COLLECTION_NAME].deleteMany({});
-}
+export {
+  cleanDatabase, createRecord, insertRecord, requestOAuth2AccessToken
+} from '@bedrock/basic-authz-server-storage/test-helpers';
 
-export async function insertRecord({record, collectionName}) {
-  const collection = database.collections[collectionName];
-  await collection.insertOne(record);
+// runs the tests defined by `fn` once per storage backend
+export function describeBackends(title, fn) {
+  const storageConfig = bedrock.config['basic-authz-server-storage'].storage;
+  for(const backend of ['mongodb', 'memory']) {
+    describe(`${title} w/storage backend "${backend}"`, () => {
+      let previousBackend;
+      before(() => {
+        previousBackend = storageConfig.backend;
+        storageConfig.backend = backend;
+      });
+      after(() => {
+        storageConfig.backend = previousBackend;
+      });
+      fn({backend});
+    });
+  }
 }
 
 export async function createOAuth2AccessToken({
-  action, target, audience, exp, iss, nbf, typ = 'at+jwt'
+  action, target, scope, audience, exp, iss, nbf, typ = 'at+jwt'
 }) {
   const {
     issuer,
@@ -28,7 +39,7 @@ export async function createOAuth2AccessToken({
   } = OAUTH2_ISSUER;
   audience = audience ?? bedrock.config.server.baseUri;
   iss = iss ?? issuer;
-  const scope = `${action}:${target}`;
+  scope = scope ?? `${action}:${target}`;
   const {accessToken} = await _createOAuth2AccessToken({
     privateKey, alg, kid, audience, scope, exp, iss, nbf, typ
   });
@@ -45,18 +56,3 @@ export async function doOAuth2Request({url, json, accessToken}) {
     json
   });
 }
-
-export async function requestOAuth2AccessToken({
-  url, clientId, secret, requestedScopes
-}) {
-  const body = new URLSearchParams({
-    grant_type: 'client_credentials',
-    scope: requestedScopes.join(' ')
-  });
-  const credentials = Buffer.from(`${clientId}:${secret}`).toString('base64');
-  const headers = {
-    accept: 'application/json',
-    authorization: `Basic ${credentials}`
-  };
-  return httpClient.post(url, {agent: httpsAgent, body, headers});
-}
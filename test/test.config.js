@@ -17,6 +17,19 @@ config.mocha.tests.push(path.join(__dirname, 'mocha'));
 // allow self-signed certs in test framework
 config['https-agent'].rejectUnauthorized = false;
 
+// enable client cache
+config['basic-authz-server-storage'].caches.client.enabled = true;
+config['basic-authz-server-storage'].caches.client.watch.enabled = true;
+config['basic-authz-server-storage'].caches.client.watch.pollInterval = 100;
+
+// enable client management routes
+config['basic-authz-server-storage'].routes.enabled = true;
+
+// allow application-specific client property
+config['basic-authz-server-storage'].schemas.client.properties.name = {
+  type: 'string'
+};
+
 // disable veres one fetching
 config['did-io'].methodOverrides.v1.disableFetch = true;
 
@@ -29,6 +42,15 @@ clients.authorizedClient = {
   ],
   secretHash: 'qpMmqCHdQ0FkyVCF1Sfuprt4jKZ4p4Id1LhSLxmdmu8'
 };
+clients.adminClient = {
+  id: 'ebc6321a-ef9a-4a15-80cd-41715d9cf888',
+  allowedScopes: [
+    'read:/authz/clients',
+    'write:/authz/clients'
+  ],
+  // hash of `client_id`
+  secretHash: 'DswqmCgD5Vxy-emt5CPkYTAXRz6mg8HHMsACox7YYyo'
+};
 clients.unauthorizedClient = {
   id: '5165774d-fadc-484b-8a78-d2b049721b52',
   // no allowed scopes
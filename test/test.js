@@ -2,9 +2,7 @@
  * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {
-  addOAuth2AuthzServer, getOAuth2ClientFromConfig, middleware
-} from '@bedrock/basic-authz-server';
+import {addOAuth2AuthzServer, middleware} from '@bedrock/basic-authz-server';
 import {cleanDatabase} from './mocha/helpers.js';
 import {clients} from '@bedrock/basic-authz-server-storage';
 import '@bedrock/https-agent';
@@ -24,19 +22,12 @@ bedrock.events.on('bedrock.ready', async () => {
 
 // add OAuth2 authz server routes
 bedrock.events.on('bedrock-express.configure.routes', app => {
+  // accept previous client secrets during secret rotation
+  app.use(
+    '/openid/token', clients.createOAuth2ClientCredentialsMiddleware());
   addOAuth2AuthzServer({
     app,
-    async getOAuth2Client({clientId} = {}) {
-      // first try `getOAuth2ClientFromConfig`
-      try {
-        const client = await getOAuth2ClientFromConfig({clientId});
-        return client;
-      } catch(e) {}
-
-      // fetch via `clients` API
-      const record = await clients.get({id: clientId});
-      return record.client;
-    }
+    getOAuth2Client: clients.createOAuth2ClientLoader()
   });
 
   // add middleware test routes